@@ -1,10 +1,25 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
 const supabase = require('../supabase');
 const { authenticateToken, requireSuperAdmin, requireDataAdmin } = require('../middleware/auth');
 const priceService = require('../services/priceService');
+const priceStrategies = require('../services/priceStrategies');
+const currencyService = require('../services/currencyService');
+const currencyProviders = require('../services/currencyProviders');
+const scheduleService = require('../services/scheduleService');
+const tradingCalendarService = require('../services/tradingCalendarService');
+const backfillService = require('../services/backfillService');
+const importService = require('../services/importService');
+const approvalService = require('../services/approvalService');
+const anomalyService = require('../services/anomalyService');
+const indexService = require('../services/indexService');
 
 const router = express.Router();
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Number(process.env.PRICE_IMPORT_MAX_BYTES || 5 * 1024 * 1024) }
+});
 
 // All admin routes require authentication
 router.use(authenticateToken);
@@ -34,6 +49,8 @@ const buildCommodityResponse = (commodity) => {
         min_price_usd: priceRange?.min_price_usd ?? null,
         max_price_usd: priceRange?.max_price_usd ?? null,
         range_active: priceRange?.is_active ?? false,
+        price_strategy: priceRange?.price_strategy ?? null,
+        strategy_params: priceRange?.strategy_params ?? null,
         current_price_zar: currentPrice?.price_zar ?? null,
         current_price_usd: currentPrice?.price_usd ?? null,
         exchange_rate: currentPrice?.exchange_rate ?? null,
@@ -60,7 +77,7 @@ router.get('/commodities', requireDataAdmin, async (req, res) => {
                 updated_at,
                 category_id,
                 commodity_categories(id, name, display_order),
-                price_ranges(min_price_zar, max_price_zar, min_price_usd, max_price_usd, is_active, updated_at),
+                price_ranges(min_price_zar, max_price_zar, min_price_usd, max_price_usd, price_strategy, strategy_params, is_active, updated_at),
                 current_prices(price_zar, price_usd, exchange_rate, change_24h_percent, last_updated)
             `)
             .order('display_order', { ascending: true })
@@ -215,7 +232,9 @@ router.put('/commodities/:id/price-range', requireDataAdmin, async (req, res) =>
             min_price_usd,
             max_price_usd,
             min_price_zar,
-            max_price_zar
+            max_price_zar,
+            price_strategy,
+            strategy_params
         } = req.body;
 
         const coerceNumber = (value) => {
@@ -252,17 +271,51 @@ router.put('/commodities/:id/price-range', requireDataAdmin, async (req, res) =>
             });
         }
 
-        const result = await priceService.updatePriceRange(
+        if (price_strategy) {
+            if (!priceStrategies.has(price_strategy)) {
+                return res.status(400).json({
+                    error: { message: `Unknown price strategy "${price_strategy}"` }
+                });
+            }
+
+            try {
+                priceStrategies.resolveParams(price_strategy, strategy_params);
+            } catch (validationError) {
+                return res.status(400).json({
+                    error: { message: validationError.message }
+                });
+            }
+        }
+
+        const result = await approvalService.submitPriceRangeChange(
             id,
             {
                 minPriceUsd: minUsd,
                 maxPriceUsd: maxUsd,
                 minPriceZar: minZar,
-                maxPriceZar: maxZar
+                maxPriceZar: maxZar,
+                strategy: price_strategy,
+                strategyParams: strategy_params
             },
-            req.user.id
+            req.user.id,
+            { acceptFxCheck: req.body?.accept_fx_check === true }
         );
 
+        if (result.paused) {
+            return res.status(409).json({
+                error: { message: result.message, fx_check: result.fxCheck }
+            });
+        }
+
+        if (result.pending) {
+            return res.status(202).json({
+                success: true,
+                pending_approval: true,
+                message: 'Price range change exceeds the approval threshold and is waiting for review by another admin',
+                data: result.data
+            });
+        }
+
         res.json({
             success: true,
             data: result.data
@@ -276,7 +329,113 @@ router.put('/commodities/:id/price-range', requireDataAdmin, async (req, res) =>
     }
 });
 
-// Manual price update for commodity
+// List available price generation strategies
+router.get('/price-strategies', requireDataAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: priceStrategies.list()
+    });
+});
+
+// Exchange rate provider chain in failover order, with the health of each provider on this instance
+router.get('/currency-providers', requireDataAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: currencyProviders.list()
+    });
+});
+
+// Manual exchange rate overrides and fallbacks per currency pair (super admin only)
+router.get('/currency-overrides', requireSuperAdmin, async (req, res) => {
+    try {
+        const { status = 'active', from, to } = req.query;
+
+        if (!currencyService.isValidOverrideStatus(status)) {
+            return res.status(400).json({
+                error: { message: 'status must be one of active, expired, all' }
+            });
+        }
+
+        const overrides = await currencyService.listOverrides({
+            status,
+            fromCurrency: from ?? null,
+            toCurrency: to ?? null
+        });
+
+        res.json({
+            success: true,
+            data: overrides
+        });
+
+    } catch (error) {
+        console.error('Get currency overrides error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load currency overrides' }
+        });
+    }
+});
+
+// Set a manual rate for a pair, replacing the active one of the same kind (super admin only)
+router.post('/currency-overrides', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = currencyService.validateOverride(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const override = await currencyService.setOverride(values, req.user.id);
+
+        res.json({
+            success: true,
+            data: override
+        });
+
+    } catch (error) {
+        console.error('Set currency override error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to set currency override' }
+        });
+    }
+});
+
+// Expire a manual rate so resolution falls back to the provider chain (super admin only)
+router.post('/currency-overrides/:id/expire', requireSuperAdmin, async (req, res) => {
+    try {
+        const override = await currencyService.getOverride(req.params.id);
+
+        if (!override) {
+            return res.status(404).json({
+                error: { message: 'Currency override not found' }
+            });
+        }
+
+        const expired = override.is_active
+            ? await currencyService.expireOverride(override.id, req.user.id)
+            : null;
+
+        if (!expired) {
+            return res.status(409).json({
+                error: { message: 'Currency override has already expired' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: expired
+        });
+
+    } catch (error) {
+        console.error('Expire currency override error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to expire currency override' }
+        });
+    }
+});
+
+// Manual price update for commodity, held for review by a second admin
 router.put('/commodities/:id/price', requireDataAdmin, async (req, res) => {
     try {
         const { id } = req.params;
@@ -311,7 +470,7 @@ router.put('/commodities/:id/price', requireDataAdmin, async (req, res) => {
             });
         }
 
-        const result = await priceService.updateCommodityPrice(
+        const change = await approvalService.submitPriceChange(
             id,
             {
                 priceUsd: usdPrice,
@@ -320,9 +479,11 @@ router.put('/commodities/:id/price', requireDataAdmin, async (req, res) => {
             req.user.id
         );
 
-        res.json({
+        res.status(202).json({
             success: true,
-            data: result.data
+            pending_approval: true,
+            message: 'Manual price submitted for review by another admin',
+            data: change
         });
 
     } catch (error) {
@@ -333,17 +494,187 @@ router.put('/commodities/:id/price', requireDataAdmin, async (req, res) => {
     }
 });
 
+const attachReviewers = async (changes) => {
+    const userIds = [...new Set(changes
+        .flatMap((change) => [change.requested_by, change.reviewed_by])
+        .filter(Boolean))];
+
+    let usersById = {};
+
+    if (userIds.length > 0) {
+        const { data: users, error } = await supabase.getAdminClient()
+            .from('admin_users')
+            .select('id, username, email')
+            .in('id', userIds);
+
+        if (error) {
+            throw error;
+        }
+
+        usersById = (users || []).reduce((acc, user) => {
+            acc[user.id] = user;
+            return acc;
+        }, {});
+    }
+
+    return changes.map(({ commodities, ...change }) => ({
+        ...change,
+        commodity_name: commodities?.name ?? null,
+        symbol: commodities?.symbol ?? null,
+        requested_by_user: change.requested_by ? usersById[change.requested_by] ?? null : null,
+        reviewed_by_user: change.reviewed_by ? usersById[change.reviewed_by] ?? null : null
+    }));
+};
+
+// Manual prices and large range changes waiting for (or past) review
+router.get('/price-changes', requireDataAdmin, async (req, res) => {
+    try {
+        const status = req.query.status ?? 'pending';
+        if (status !== 'all' && !approvalService.isValidStatus(status)) {
+            return res.status(400).json({
+                error: { message: 'status must be pending, approved, rejected, superseded or all' }
+            });
+        }
+
+        const limitParam = Number.parseInt(req.query.limit, 10);
+        const changes = await approvalService.listChanges({
+            status: status === 'all' ? null : status,
+            commodityId: req.query.commodity_id || null,
+            limit: Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 200) : 50
+        });
+
+        res.json({
+            success: true,
+            data: await attachReviewers(changes)
+        });
+
+    } catch (error) {
+        console.error('Get price changes error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price changes' }
+        });
+    }
+});
+
+router.get('/price-changes/:id', requireDataAdmin, async (req, res) => {
+    try {
+        const change = await approvalService.getChange(req.params.id);
+
+        if (!change) {
+            return res.status(404).json({
+                error: { message: 'Price change not found' }
+            });
+        }
+
+        const [enriched] = await attachReviewers([change]);
+
+        res.json({
+            success: true,
+            data: enriched
+        });
+
+    } catch (error) {
+        console.error('Get price change error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price change' }
+        });
+    }
+});
+
+const REVIEW_ERROR_STATUS = {
+    not_found: 404,
+    forbidden: 403,
+    conflict: 409,
+    fx_check: 409
+};
+
+router.post('/price-changes/:id/approve', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await approvalService.approveChange(req.params.id, req.user.id, req.body?.notes, {
+            acceptFxCheck: req.body?.accept_fx_check === true
+        });
+
+        if (!result.success) {
+            return res.status(REVIEW_ERROR_STATUS[result.error] ?? 400).json({
+                error: { message: result.message || 'Price change not found', fx_check: result.fxCheck }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.quarantined
+                ? `Price change approved but held back by anomaly checks: ${result.message}`
+                : 'Price change approved and published',
+            data: {
+                change: result.change,
+                result: result.data
+            }
+        });
+
+    } catch (error) {
+        console.error('Approve price change error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to approve price change' }
+        });
+    }
+});
+
+router.post('/price-changes/:id/reject', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await approvalService.rejectChange(req.params.id, req.user.id, req.body?.notes);
+
+        if (!result.success) {
+            return res.status(REVIEW_ERROR_STATUS[result.error] ?? 400).json({
+                error: { message: result.message || 'Price change not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Price change rejected',
+            data: result.change
+        });
+
+    } catch (error) {
+        console.error('Reject price change error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to reject price change' }
+        });
+    }
+});
+
 // Trigger manual price update for all commodities
 router.post('/prices/update-all', requireDataAdmin, async (req, res) => {
     try {
         const result = await priceService.updateDailyPrices({
             triggerSource: 'manual',
-            triggeredBy: req.user?.id ?? null
+            triggeredBy: req.user?.id ?? null,
+            ignoreCalendar: req.body?.force === true,
+            acceptFxCheck: req.body?.accept_fx_check === true
         });
 
+        if (result.locked) {
+            return res.status(409).json({
+                error: { message: result.message }
+            });
+        }
+
+        // Sending accept_fx_check publishes on the flagged rate; a missing rate always pauses
+        if (result.paused) {
+            return res.status(409).json({
+                error: {
+                    message: result.message,
+                    fx_check: result.fxCheck,
+                    run_id: result.runId
+                }
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Price update completed',
+            message: result.skippedHoliday
+                ? `Price update skipped: ${result.date} is not a trading day (${result.reason})`
+                : 'Price update completed',
             data: result
         });
 
@@ -355,84 +686,1069 @@ router.post('/prices/update-all', requireDataAdmin, async (req, res) => {
     }
 });
 
-// Dashboard summary
-router.get('/dashboard/summary', requireDataAdmin, async (req, res) => {
+// Preview the daily price update without writing any prices
+router.post('/prices/preview', requireDataAdmin, async (req, res) => {
     try {
-        const summary = await priceService.getDashboardSummary();
+        const { commodity_ids } = req.body;
+
+        if (commodity_ids !== undefined && !Array.isArray(commodity_ids)) {
+            return res.status(400).json({
+                error: { message: 'commodity_ids must be an array' }
+            });
+        }
+
+        const preview = await priceService.previewDailyPrices({
+            commodityIds: commodity_ids ?? null,
+            createdBy: req.user?.id ?? null
+        });
 
         res.json({
             success: true,
-            data: summary
+            data: preview
         });
 
     } catch (error) {
-        console.error('Dashboard summary error:', error);
+        console.error('Price preview error:', error);
         res.status(500).json({
-            error: { message: 'Failed to load dashboard summary' }
+            error: { message: 'Failed to preview price update' }
         });
     }
 });
 
-// Price update run history
-router.get('/price-update-runs', requireDataAdmin, async (req, res) => {
+// Get a stored price preview
+router.get('/prices/preview/:token', requireDataAdmin, async (req, res) => {
     try {
-        const limitParam = Number.parseInt(req.query.limit, 10);
-        const limit = Number.isFinite(limitParam) && limitParam > 0
-            ? Math.min(limitParam, 100)
-            : 20;
-
-        const adminClient = supabase.getAdminClient();
-        const { data, error } = await adminClient
-            .from('price_update_runs')
-            .select('id, executed_at, trigger_source, total_commodities, updated_commodities, status, notes, triggered_by')
-            .order('executed_at', { ascending: false })
-            .limit(limit);
+        const preview = await priceService.getPricePreview(req.params.token);
 
-        if (error) {
-            throw error;
+        if (!preview) {
+            return res.status(404).json({
+                error: { message: 'Price preview not found' }
+            });
         }
 
-        const runs = data || [];
-        const userIds = [...new Set(runs
-            .map((run) => run.triggered_by)
-            .filter(Boolean))];
+        const { plan, ...meta } = preview;
 
-        let usersById = {};
+        res.json({
+            success: true,
+            data: {
+                ...meta,
+                total: plan?.total ?? 0,
+                proposals: plan?.proposals ?? [],
+                skipped: plan?.skipped ?? [],
+                failures: plan?.failures ?? []
+            }
+        });
 
-        if (userIds.length > 0) {
-            const { data: users, error: usersError } = await adminClient
-                .from('admin_users')
-                .select('id, username, email')
-                .in('id', userIds);
+    } catch (error) {
+        console.error('Get price preview error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price preview' }
+        });
+    }
+});
 
-            if (usersError) {
-                throw usersError;
-            }
+// Publish the exact prices from a preview
+router.post('/prices/preview/:token/commit', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await priceService.commitPricePreview(req.params.token, {
+            triggeredBy: req.user?.id ?? null,
+            ignoreCalendar: req.body?.force === true,
+            acceptFxCheck: req.body?.accept_fx_check === true
+        });
 
-            usersById = (users || []).reduce((acc, user) => {
-                acc[user.id] = {
-                    id: user.id,
-                    username: user.username,
-                    email: user.email
-                };
-                return acc;
-            }, {});
+        if (!result) {
+            return res.status(404).json({
+                error: { message: 'Price preview not found' }
+            });
         }
 
-        const enrichedRuns = runs.map((run) => ({
-            ...run,
-            triggered_by_user: run.triggered_by ? usersById[run.triggered_by] ?? null : null
-        }));
+        if (!result.success) {
+            return res.status(409).json({
+                error: { message: result.message, fx_check: result.fxCheck }
+            });
+        }
 
         res.json({
             success: true,
-            data: enrichedRuns
+            message: 'Price preview committed',
+            data: result
         });
 
     } catch (error) {
-        console.error('Get price update runs error:', error);
+        console.error('Commit price preview error:', error);
         res.status(500).json({
-            error: { message: 'Failed to load price update history' }
+            error: { message: 'Failed to commit price preview' }
+        });
+    }
+});
+
+// Backfill price_history for a date range by generating or importing daily closes
+router.post('/prices/backfill', requireDataAdmin, async (req, res) => {
+    try {
+        const {
+            commodity_id,
+            commodity_ids,
+            mode = 'generate',
+            prices = [],
+            overwrite = false
+        } = req.body;
+        let { from, to } = req.body;
+
+        const commodityIds = Array.isArray(commodity_ids)
+            ? commodity_ids.filter(Boolean)
+            : [commodity_id].filter(Boolean);
+
+        if (commodityIds.length === 0) {
+            return res.status(400).json({
+                error: { message: 'commodity_id or commodity_ids is required' }
+            });
+        }
+
+        if (!['generate', 'import'].includes(mode)) {
+            return res.status(400).json({
+                error: { message: 'Mode must be either generate or import' }
+            });
+        }
+
+        if (mode === 'import') {
+            if (!Array.isArray(prices) || prices.length === 0) {
+                return res.status(400).json({
+                    error: { message: 'Prices are required when importing' }
+                });
+            }
+
+            const invalidRow = prices.find((row) => !tradingCalendarService.isValidDate(row?.date));
+            if (invalidRow) {
+                return res.status(400).json({
+                    error: { message: `Invalid price date "${invalidRow?.date}", expected YYYY-MM-DD` }
+                });
+            }
+
+            const importDates = prices.map((row) => row.date).sort();
+            from = from || importDates[0];
+            to = to || importDates[importDates.length - 1];
+        }
+
+        if (!tradingCalendarService.isValidDate(from) || !tradingCalendarService.isValidDate(to)) {
+            return res.status(400).json({
+                error: { message: 'From and to dates are required in YYYY-MM-DD format' }
+            });
+        }
+
+        if (from > to) {
+            return res.status(400).json({
+                error: { message: 'From date must be on or before the to date' }
+            });
+        }
+
+        if (to > tradingCalendarService.localDate()) {
+            return res.status(400).json({
+                error: { message: 'Backfill cannot include future dates' }
+            });
+        }
+
+        const spanDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24);
+        if (spanDays > backfillService.maxDays) {
+            return res.status(400).json({
+                error: { message: `Backfill range cannot exceed ${backfillService.maxDays} days` }
+            });
+        }
+
+        const result = await backfillService.backfill({
+            commodityIds,
+            from,
+            to,
+            mode,
+            prices,
+            overwrite: overwrite === true,
+            triggeredBy: req.user?.id ?? null
+        });
+
+        if (!result.success) {
+            return res.status(result.locked ? 409 : 400).json({
+                error: { message: result.message }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Backfill completed',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Price backfill error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to backfill prices' }
+        });
+    }
+});
+
+// Bulk import of prices and price ranges from a CSV or XLSX file keyed by commodity symbol, applied as one transaction
+router.post('/prices/import', requireDataAdmin, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: { message: 'A CSV or XLSX file is required in the "file" field' }
+            });
+        }
+
+        if (!importService.detectFormat(req.file)) {
+            return res.status(400).json({
+                error: { message: 'Upload must be a .csv or .xlsx file' }
+            });
+        }
+
+        const result = await importService.importPrices(req.file, {
+            triggeredBy: req.user?.id ?? null,
+            dryRun: req.query.dry_run === 'true' || req.body?.dry_run === 'true'
+        });
+
+        if (!result.success) {
+            return res.status(result.locked ? 409 : 400).json({
+                error: { message: result.message }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.applied
+                ? `Imported ${result.valid_rows} of ${result.total_rows} rows: ${result.ranges_applied} price ranges applied, ${result.pending_rows} rows awaiting approval by another admin`
+                : 'No rows were applied',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Bulk price import error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to import prices' }
+        });
+    }
+});
+
+// Correct a historical close; the original value and reason are kept as a revision
+router.post('/prices/history/:commodityId/corrections', requireDataAdmin, async (req, res) => {
+    try {
+        const { commodityId } = req.params;
+        const { date, price_usd, price_zar, reason } = req.body || {};
+
+        if (!tradingCalendarService.isValidDate(date)) {
+            return res.status(400).json({
+                error: { message: 'date must be in YYYY-MM-DD format' }
+            });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                error: { message: 'A reason is required for a price correction' }
+            });
+        }
+
+        const usdPrice = price_usd === null || price_usd === undefined || price_usd === '' ? undefined : Number(price_usd);
+        const zarPrice = price_zar === null || price_zar === undefined || price_zar === '' ? undefined : Number(price_zar);
+
+        if (usdPrice === undefined && zarPrice === undefined) {
+            return res.status(400).json({
+                error: { message: 'A valid price is required in USD or ZAR' }
+            });
+        }
+
+        if ([usdPrice, zarPrice].some((value) => value !== undefined && !(Number.isFinite(value) && value > 0))) {
+            return res.status(400).json({
+                error: { message: 'Prices must be numbers greater than zero' }
+            });
+        }
+
+        const result = await priceService.correctHistoricalPrice(
+            commodityId,
+            date,
+            { priceUsd: usdPrice, priceZar: zarPrice },
+            { reason: String(reason).trim(), correctedBy: req.user.id }
+        );
+
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : result.locked || result.conflict ? 409 : 400).json({
+                error: { message: result.message }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Price for ${date} corrected`,
+            data: result.data
+        });
+
+    } catch (error) {
+        console.error('Price correction error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to correct price' }
+        });
+    }
+});
+
+// Dashboard summary
+router.get('/dashboard/summary', requireDataAdmin, async (req, res) => {
+    try {
+        const summary = await priceService.getDashboardSummary();
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        console.error('Dashboard summary error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load dashboard summary' }
+        });
+    }
+});
+
+// Price update run history
+router.get('/price-update-runs', requireDataAdmin, async (req, res) => {
+    try {
+        const limitParam = Number.parseInt(req.query.limit, 10);
+        const limit = Number.isFinite(limitParam) && limitParam > 0
+            ? Math.min(limitParam, 100)
+            : 20;
+
+        const adminClient = supabase.getAdminClient();
+        const { data, error } = await adminClient
+            .from('price_update_runs')
+            .select('id, executed_at, trigger_source, retry_of_run_id, total_commodities, updated_commodities, status, notes, triggered_by, approved_by, exchange_rate, exchange_rate_source, fx_check')
+            .order('executed_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        const runs = data || [];
+        const userIds = [...new Set(runs
+            .flatMap((run) => [run.triggered_by, run.approved_by])
+            .filter(Boolean))];
+
+        let usersById = {};
+
+        if (userIds.length > 0) {
+            const { data: users, error: usersError } = await adminClient
+                .from('admin_users')
+                .select('id, username, email')
+                .in('id', userIds);
+
+            if (usersError) {
+                throw usersError;
+            }
+
+            usersById = (users || []).reduce((acc, user) => {
+                acc[user.id] = {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email
+                };
+                return acc;
+            }, {});
+        }
+
+        const enrichedRuns = runs.map((run) => ({
+            ...run,
+            triggered_by_user: run.triggered_by ? usersById[run.triggered_by] ?? null : null,
+            approved_by_user: run.approved_by ? usersById[run.approved_by] ?? null : null
+        }));
+
+        res.json({
+            success: true,
+            data: enrichedRuns
+        });
+
+    } catch (error) {
+        console.error('Get price update runs error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price update history' }
+        });
+    }
+});
+
+// Per-commodity breakdown of a single price update run
+router.get('/price-update-runs/:id', requireDataAdmin, async (req, res) => {
+    try {
+        const run = await priceService.getPriceUpdateRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({
+                error: { message: 'Price update run not found' }
+            });
+        }
+
+        const userIds = [run.triggered_by, run.approved_by].filter(Boolean);
+        let users = [];
+
+        if (userIds.length > 0) {
+            const adminClient = supabase.getAdminClient();
+            const { data, error: usersError } = await adminClient
+                .from('admin_users')
+                .select('id, username, email')
+                .in('id', userIds);
+
+            if (usersError) {
+                throw usersError;
+            }
+
+            users = data || [];
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...run,
+                triggered_by_user: users.find((user) => user.id === run.triggered_by) ?? null,
+                approved_by_user: users.find((user) => user.id === run.approved_by) ?? null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get price update run error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price update run' }
+        });
+    }
+});
+
+// Re-run the price update for the commodities that failed or were skipped in a run
+router.post('/price-update-runs/:id/retry', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await priceService.retryPriceUpdateRun(req.params.id, {
+            triggeredBy: req.user?.id ?? null
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                error: { message: 'Price update run not found' }
+            });
+        }
+
+        if (!result.success) {
+            return res.status(result.locked || result.paused ? 409 : 400).json({
+                error: { message: result.message, fx_check: result.fxCheck }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Price update retry completed',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Retry price update run error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to retry price update run' }
+        });
+    }
+});
+
+// Price update schedules and the cron jobs currently registered on this instance
+router.get('/schedule', requireDataAdmin, async (req, res) => {
+    try {
+        const schedules = await scheduleService.listSchedules();
+
+        res.json({
+            success: true,
+            data: {
+                schedules,
+                using_default: schedules.length === 0,
+                default_schedule: scheduleService.defaultSchedule(),
+                registrations: scheduleService.getRegistrations()
+            }
+        });
+
+    } catch (error) {
+        console.error('Get schedules error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load price update schedules' }
+        });
+    }
+});
+
+// Create price update schedule (super admin only)
+router.post('/schedule', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = scheduleService.validateSchedule(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const schedule = await scheduleService.createSchedule(values, req.user.id);
+
+        res.json({
+            success: true,
+            data: schedule
+        });
+
+    } catch (error) {
+        console.error('Create schedule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to create price update schedule' }
+        });
+    }
+});
+
+// Update price update schedule (super admin only)
+router.put('/schedule/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = scheduleService.validateSchedule(req.body, { partial: true });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: { message: 'No fields to update' }
+            });
+        }
+
+        const schedule = await scheduleService.updateSchedule(req.params.id, values);
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: { message: 'Schedule not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: schedule
+        });
+
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to update price update schedule' }
+        });
+    }
+});
+
+// Delete price update schedule (super admin only)
+router.delete('/schedule/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const deleted = await scheduleService.deleteSchedule(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: { message: 'Schedule not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to delete price update schedule' }
+        });
+    }
+});
+
+// Trading calendar for a year: ZA public holidays plus admin overrides
+router.get('/calendar', requireDataAdmin, async (req, res) => {
+    try {
+        const yearParam = Number.parseInt(req.query.year, 10);
+        const year = Number.isFinite(yearParam) && yearParam > 1900 && yearParam < 3000
+            ? yearParam
+            : Number(tradingCalendarService.localDate().slice(0, 4));
+
+        const calendar = await tradingCalendarService.getCalendar(year);
+
+        res.json({
+            success: true,
+            data: {
+                year,
+                timezone: tradingCalendarService.timezone,
+                days: calendar
+            }
+        });
+
+    } catch (error) {
+        console.error('Get trading calendar error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load trading calendar' }
+        });
+    }
+});
+
+// Check whether a date is a trading day
+router.get('/calendar/check', requireDataAdmin, async (req, res) => {
+    try {
+        const date = req.query.date || tradingCalendarService.localDate();
+
+        if (!tradingCalendarService.isValidDate(date)) {
+            return res.status(400).json({
+                error: { message: 'Date must be in YYYY-MM-DD format' }
+            });
+        }
+
+        const result = await tradingCalendarService.checkDate(date);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Check trading day error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to check trading day' }
+        });
+    }
+});
+
+// Add or update a calendar override (market closure or extra trading day)
+router.post('/calendar', requireDataAdmin, async (req, res) => {
+    try {
+        const { date, name, is_trading_day = false, notes = null } = req.body;
+
+        if (!tradingCalendarService.isValidDate(date)) {
+            return res.status(400).json({
+                error: { message: 'Date must be in YYYY-MM-DD format' }
+            });
+        }
+
+        if (!name) {
+            return res.status(400).json({
+                error: { message: 'Name is required' }
+            });
+        }
+
+        const override = await tradingCalendarService.upsertOverride({
+            date,
+            name,
+            isTradingDay: Boolean(is_trading_day),
+            notes
+        }, req.user.id);
+
+        res.json({
+            success: true,
+            data: override
+        });
+
+    } catch (error) {
+        console.error('Save calendar override error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to save calendar entry' }
+        });
+    }
+});
+
+// Remove a calendar override
+router.delete('/calendar/:id', requireDataAdmin, async (req, res) => {
+    try {
+        const deleted = await tradingCalendarService.deleteOverride(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: { message: 'Calendar entry not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Calendar entry deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete calendar override error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to delete calendar entry' }
+        });
+    }
+});
+
+// Anomaly rules: per-commodity, per-category or global thresholds for publishing prices
+router.get('/anomaly-rules', requireDataAdmin, async (req, res) => {
+    try {
+        const rules = await anomalyService.listRules();
+
+        res.json({
+            success: true,
+            data: {
+                rules,
+                default_rule: anomalyService.defaultRule
+            }
+        });
+
+    } catch (error) {
+        console.error('Get anomaly rules error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load anomaly rules' }
+        });
+    }
+});
+
+// Create anomaly rule (super admin only)
+router.post('/anomaly-rules', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = anomalyService.validateRule(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const rule = await anomalyService.createRule(values, req.user.id);
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Create anomaly rule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to create anomaly rule' }
+        });
+    }
+});
+
+// Update anomaly rule (super admin only)
+router.put('/anomaly-rules/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = anomalyService.validateRule(req.body, { partial: true });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: { message: 'No fields to update' }
+            });
+        }
+
+        const rule = await anomalyService.updateRule(req.params.id, values);
+
+        if (!rule) {
+            return res.status(404).json({
+                error: { message: 'Anomaly rule not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('Update anomaly rule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to update anomaly rule' }
+        });
+    }
+});
+
+// Delete anomaly rule (super admin only)
+router.delete('/anomaly-rules/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const deleted = await anomalyService.deleteRule(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: { message: 'Anomaly rule not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Anomaly rule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete anomaly rule error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to delete anomaly rule' }
+        });
+    }
+});
+
+// Prices held back by the anomaly checks
+router.get('/anomalies', requireDataAdmin, async (req, res) => {
+    try {
+        const status = req.query.status ?? 'quarantined';
+        if (status !== 'all' && !anomalyService.isValidStatus(status)) {
+            return res.status(400).json({
+                error: { message: 'status must be quarantined, released, discarded or all' }
+            });
+        }
+
+        const limitParam = Number.parseInt(req.query.limit, 10);
+        const entries = await anomalyService.listQuarantined({
+            status: status === 'all' ? null : status,
+            commodityId: req.query.commodity_id || null,
+            limit: Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 200) : 50
+        });
+
+        res.json({
+            success: true,
+            data: entries.map(({ commodities, ...entry }) => ({
+                ...entry,
+                commodity_name: commodities?.name ?? null,
+                symbol: commodities?.symbol ?? null
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get anomalies error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load quarantined prices' }
+        });
+    }
+});
+
+// Publish a quarantined price after checking it
+router.post('/anomalies/:id/release', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await priceService.releaseQuarantinedPrice(req.params.id, req.user.id, req.body?.notes, {
+            acceptFxCheck: req.body?.accept_fx_check === true
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                error: { message: 'No quarantined price found with this id' }
+            });
+        }
+
+        if (result.paused) {
+            return res.status(409).json({
+                error: { message: result.message, fx_check: result.fxCheck }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.data.current_price_updated === false
+                ? `Quarantined price released as the ${result.data.recorded_date} close; a later close stays the current price`
+                : 'Quarantined price released and published',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Release quarantined price error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to release quarantined price' }
+        });
+    }
+});
+
+// Drop a quarantined price without publishing it
+router.post('/anomalies/:id/discard', requireDataAdmin, async (req, res) => {
+    try {
+        const entry = await anomalyService.resolveQuarantined(req.params.id, 'discarded', req.user.id, req.body?.notes);
+
+        if (!entry) {
+            return res.status(404).json({
+                error: { message: 'No quarantined price found with this id' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Quarantined price discarded',
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Discard quarantined price error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to discard quarantined price' }
+        });
+    }
+});
+
+// Composite indices with constituents and latest level
+router.get('/indices', requireDataAdmin, async (req, res) => {
+    try {
+        const indices = await indexService.listIndices();
+
+        const data = await Promise.all(indices.map(async (index) => ({
+            ...(await indexService.getIndex(index.id)),
+            latest: await indexService.getLatestLevel(index.id)
+        })));
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Get indices error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to load indices' }
+        });
+    }
+});
+
+// Create index with its constituents (super admin only)
+router.post('/indices', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = indexService.validateIndex(req.body);
+        const { errors: constituentErrors, values: constituents } = indexService.validateConstituents(req.body?.constituents);
+        const allErrors = [...errors, ...constituentErrors];
+
+        if (allErrors.length > 0) {
+            return res.status(400).json({
+                error: { message: allErrors.join('; ') }
+            });
+        }
+
+        const index = await indexService.createIndex(values, constituents, req.user.id);
+
+        res.json({
+            success: true,
+            data: index
+        });
+
+    } catch (error) {
+        console.error('Create index error:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({
+                error: { message: 'An index with this code already exists' }
+            });
+        }
+        res.status(500).json({
+            error: { message: 'Failed to create index' }
+        });
+    }
+});
+
+// Update index details; a new base date or base value rebases its history (super admin only)
+router.put('/indices/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = indexService.validateIndex(req.body, { partial: true });
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: { message: 'No fields to update' }
+            });
+        }
+
+        const index = await indexService.updateIndex(req.params.id, values);
+
+        if (!index) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: index
+        });
+
+    } catch (error) {
+        console.error('Update index error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to update index' }
+        });
+    }
+});
+
+// Replace index constituents and weights (super admin only)
+router.put('/indices/:id/constituents', requireSuperAdmin, async (req, res) => {
+    try {
+        const { errors, values } = indexService.validateConstituents(req.body?.constituents);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const index = await indexService.setConstituents(req.params.id, values);
+
+        if (!index) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: index
+        });
+
+    } catch (error) {
+        console.error('Update index constituents error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to update index constituents' }
+        });
+    }
+});
+
+// Delete index (super admin only)
+router.delete('/indices/:id', requireSuperAdmin, async (req, res) => {
+    try {
+        const deleted = await indexService.deleteIndex(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Index deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete index error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to delete index' }
+        });
+    }
+});
+
+// Recalculate an index's full history, e.g. after a backfill
+router.post('/indices/:id/rebuild', requireDataAdmin, async (req, res) => {
+    try {
+        const result = await indexService.rebuild(req.params.id);
+
+        if (!result) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Recalculated ${result.levels.length} index levels`,
+            data: {
+                levels: result.levels.length,
+                missing_base: result.missing_base
+            }
+        });
+
+    } catch (error) {
+        console.error('Rebuild index error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to rebuild index' }
         });
     }
 });
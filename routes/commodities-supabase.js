@@ -1,8 +1,46 @@
 const express = require('express');
 const supabase = require('../supabase');
+const indexService = require('../services/indexService');
+const priceService = require('../services/priceService');
 
 const router = express.Router();
 
+// Current prices keyed by commodity, with any requested currency converted
+const loadCurrentPrices = async (commodities, currency) => {
+    const prices = await priceService.convertCurrentPrices(
+        commodities.map((commodity) => commodity.current_prices?.[0]).filter(Boolean),
+        currency
+    );
+    return new Map(prices.map((price) => [price.commodity_id, price]));
+};
+
+const currentPriceFields = (price, currency) => {
+    const convertedField = priceService.convertedPriceField(currency);
+
+    return priceService.selectCurrencyPrices({
+        price_zar: price?.price_zar,
+        price_usd: price?.price_usd,
+        ...(convertedField ? { [convertedField]: price?.[convertedField] } : {}),
+        exchange_rate: price?.exchange_rate,
+        change_24h_percent: price?.change_24h_percent,
+        volume_24h: price?.volume_24h,
+        last_updated: price?.last_updated
+    }, currency);
+};
+
+const parseCurrency = (req, res) => {
+    const { currency, error } = priceService.parseCurrency(req.query.currency);
+
+    if (error) {
+        res.status(400).json({
+            error: { message: error }
+        });
+        return null;
+    }
+
+    return currency;
+};
+
 // Get all commodity categories
 router.get('/categories', async (req, res) => {
     try {
@@ -27,7 +65,11 @@ router.get('/categories', async (req, res) => {
 router.get('/', async (req, res) => {
     try {
         const { category, search, active_only = 'true' } = req.query;
-        
+        const currency = parseCurrency(req, res);
+        if (!currency) {
+            return;
+        }
+
         let filters = [];
         
         if (active_only === 'true') {
@@ -52,6 +94,8 @@ router.get('/', async (req, res) => {
             orderBy: { column: 'display_order' }
         });
 
+        const currentPrices = await loadCurrentPrices(commodities, currency);
+
         // Transform the data to flatten the structure
         const transformedCommodities = commodities.map(commodity => ({
             id: commodity.id,
@@ -63,12 +107,7 @@ router.get('/', async (req, res) => {
             display_order: commodity.display_order,
             category_name: commodity.commodity_categories?.name,
             category_id: commodity.category_id,
-            price_zar: commodity.current_prices?.[0]?.price_zar,
-            price_usd: commodity.current_prices?.[0]?.price_usd,
-            exchange_rate: commodity.current_prices?.[0]?.exchange_rate,
-            change_24h_percent: commodity.current_prices?.[0]?.change_24h_percent,
-            volume_24h: commodity.current_prices?.[0]?.volume_24h,
-            last_updated: commodity.current_prices?.[0]?.last_updated
+            ...currentPriceFields(currentPrices.get(commodity.id), currency)
         }));
 
         res.json({
@@ -88,7 +127,11 @@ router.get('/', async (req, res) => {
 router.get('/:identifier', async (req, res) => {
     try {
         const { identifier } = req.params;
-        
+        const currency = parseCurrency(req, res);
+        if (!currency) {
+            return;
+        }
+
         // Check if identifier is UUID (ID) or string (symbol)
         const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(identifier);
         const field = isUUID ? 'id' : 'symbol';
@@ -109,6 +152,8 @@ router.get('/:identifier', async (req, res) => {
             });
         }
 
+        const currentPrices = await loadCurrentPrices([commodity], currency);
+
         // Transform the data
         const transformedCommodity = {
             id: commodity.id,
@@ -122,12 +167,7 @@ router.get('/:identifier', async (req, res) => {
             updated_at: commodity.updated_at,
             category_name: commodity.commodity_categories?.name,
             category_id: commodity.category_id,
-            price_zar: commodity.current_prices?.[0]?.price_zar,
-            price_usd: commodity.current_prices?.[0]?.price_usd,
-            exchange_rate: commodity.current_prices?.[0]?.exchange_rate,
-            change_24h_percent: commodity.current_prices?.[0]?.change_24h_percent,
-            volume_24h: commodity.current_prices?.[0]?.volume_24h,
-            last_updated: commodity.current_prices?.[0]?.last_updated
+            ...currentPriceFields(currentPrices.get(commodity.id), currency)
         };
 
         res.json({
@@ -147,11 +187,16 @@ router.get('/:identifier', async (req, res) => {
 router.get('/grouped/by-category', async (req, res) => {
     try {
         const { active_only = 'true' } = req.query;
-        
+        const currency = parseCurrency(req, res);
+        if (!currency) {
+            return;
+        }
+
         // Get categories
         const categories = await supabase.query('commodity_categories', {
             orderBy: { column: 'display_order' }
         });
+        const categoryIndices = await indexService.getCategoryIndexLevels();
 
         const result = [];
 
@@ -173,6 +218,8 @@ router.get('/grouped/by-category', async (req, res) => {
                 orderBy: { column: 'display_order' }
             });
 
+            const currentPrices = await loadCurrentPrices(commodities, currency);
+
             // Transform commodities data
             const transformedCommodities = commodities.map(commodity => ({
                 id: commodity.id,
@@ -181,17 +228,13 @@ router.get('/grouped/by-category', async (req, res) => {
                 description: commodity.description,
                 unit: commodity.unit,
                 display_order: commodity.display_order,
-                price_zar: commodity.current_prices?.[0]?.price_zar,
-                price_usd: commodity.current_prices?.[0]?.price_usd,
-                exchange_rate: commodity.current_prices?.[0]?.exchange_rate,
-                change_24h_percent: commodity.current_prices?.[0]?.change_24h_percent,
-                volume_24h: commodity.current_prices?.[0]?.volume_24h,
-                last_updated: commodity.current_prices?.[0]?.last_updated
+                ...currentPriceFields(currentPrices.get(commodity.id), currency)
             }));
 
             if (transformedCommodities.length > 0) {
                 result.push({
                     ...category,
+                    index: categoryIndices.get(category.id) ?? null,
                     commodities: transformedCommodities
                 });
             }
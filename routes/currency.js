@@ -1,21 +1,65 @@
 const express = require('express');
 const currencyService = require('../services/currencyService');
+const tradingCalendarService = require('../services/tradingCalendarService');
 
 const router = express.Router();
 
-// Get current exchange rate
+const MAX_TOLERANCE_DAYS = 31;
+
+// Get current exchange rate, or the rate as of a past date
 router.get('/rate', async (req, res) => {
     try {
-        const { from = 'ZAR', to = 'USD' } = req.query;
+        const { from = 'ZAR', to = 'USD', date, tolerance_days: toleranceDays } = req.query;
+        const today = tradingCalendarService.localDate();
+
+        if (date) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                return res.status(400).json({
+                    error: { message: 'date must be in YYYY-MM-DD format' }
+                });
+            }
+
+            if (date > today) {
+                return res.status(400).json({
+                    error: { message: 'date cannot be in the future' }
+                });
+            }
+        }
+
+        const tolerance = toleranceDays === undefined ? undefined : Number(toleranceDays);
+        if (tolerance !== undefined && (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > MAX_TOLERANCE_DAYS)) {
+            return res.status(400).json({
+                error: { message: `tolerance_days must be a whole number between 0 and ${MAX_TOLERANCE_DAYS}` }
+            });
+        }
 
-        const rate = await currencyService.getCurrencyRate(from, to);
+        if (date && date < today) {
+            const historical = await currencyService.getRateOnDate(from, to, date, { toleranceDays: tolerance });
+
+            if (!historical) {
+                return res.status(404).json({
+                    error: { message: `No ${String(from).toUpperCase()}/${String(to).toUpperCase()} rate found within ${tolerance ?? currencyService.rateToleranceDays} days before ${date}` }
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: historical
+            });
+        }
+
+        const resolved = await currencyService.resolveRate(from, to);
+
+        if (!resolved) {
+            return res.status(404).json({
+                error: { message: `No exchange rate available for ${String(from).toUpperCase()}/${String(to).toUpperCase()}` }
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                from_currency: from,
-                to_currency: to,
-                rate: rate,
+                ...resolved,
                 timestamp: new Date().toISOString()
             }
         });
@@ -74,17 +118,25 @@ router.get('/convert', async (req, res) => {
             });
         }
 
-        const convertedAmount = await currencyService.convertCurrency(parseFloat(amount), from, to);
-        const rate = await currencyService.getCurrencyRate(from, to);
+        const resolved = await currencyService.resolveRate(from, to);
+
+        if (!resolved) {
+            return res.status(404).json({
+                error: { message: `No exchange rate available for ${String(from).toUpperCase()}/${String(to).toUpperCase()}` }
+            });
+        }
 
         res.json({
             success: true,
             data: {
                 original_amount: parseFloat(amount),
-                converted_amount: convertedAmount,
+                converted_amount: Number((parseFloat(amount) * resolved.rate).toFixed(4)),
                 from_currency: from,
                 to_currency: to,
-                exchange_rate: rate,
+                exchange_rate: resolved.rate,
+                derived: resolved.derived,
+                pivot: resolved.pivot,
+                age_hours: resolved.age_hours,
                 timestamp: new Date().toISOString()
             }
         });
@@ -125,12 +177,7 @@ router.get('/history', async (req, res) => {
 // Get supported currencies
 router.get('/supported', (req, res) => {
     try {
-        const supportedCurrencies = [
-            { code: 'ZAR', name: 'South African Rand', symbol: 'R' },
-            { code: 'USD', name: 'US Dollar', symbol: '$' },
-            { code: 'EUR', name: 'Euro', symbol: '€' },
-            { code: 'GBP', name: 'British Pound', symbol: '£' }
-        ];
+        const supportedCurrencies = currencyService.getSupportedCurrencies();
 
         res.json({
             success: true,
@@ -0,0 +1,107 @@
+const express = require('express');
+const indexService = require('../services/indexService');
+const priceService = require('../services/priceService');
+
+const router = express.Router();
+
+const publicIndex = (index) => ({
+    code: index.code,
+    name: index.name,
+    description: index.description,
+    base_date: index.base_date,
+    base_value: Number(index.base_value),
+    category_id: index.category_id ?? null,
+    weighting: index.weighting
+});
+
+// List published indices with their latest level
+router.get('/', async (req, res) => {
+    try {
+        const indices = await indexService.listIndices({ activeOnly: true });
+
+        const data = await Promise.all(indices.map(async (index) => ({
+            ...publicIndex(index),
+            latest: await indexService.getLatestLevel(index.id)
+        })));
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Get indices error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch indices' }
+        });
+    }
+});
+
+// Current level of an index with its constituents
+router.get('/:code', async (req, res) => {
+    try {
+        const index = await indexService.getIndex(req.params.code);
+
+        if (!index || !index.is_active) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...publicIndex(index),
+                latest: await indexService.getLatestLevel(index.id),
+                constituents: index.constituents.map(({ commodity_id: commodityId, ...constituent }) => constituent)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get index error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch index' }
+        });
+    }
+});
+
+// Level history of an index
+router.get('/:code/history', async (req, res) => {
+    try {
+        const { period = '30d', currency = 'both' } = req.query;
+        const index = await indexService.getIndex(req.params.code);
+
+        if (!index || !index.is_active) {
+            return res.status(404).json({
+                error: { message: 'Index not found' }
+            });
+        }
+
+        const periodRange = await priceService.resolvePeriod(period);
+        const levels = await indexService.getLevels(index.id, { since: periodRange.since });
+
+        res.json({
+            success: true,
+            data: levels.map((level) => ({
+                recorded_date: level.recorded_date,
+                level_zar: currency === 'usd' ? undefined : Number(level.level_zar),
+                level_usd: currency === 'zar' ? undefined : Number(level.level_usd),
+                constituents_used: level.constituents_used
+            })),
+            index: publicIndex(index),
+            period: {
+                start: periodRange.since,
+                end: periodRange.until,
+                trading_days: periodRange.trading_days
+            }
+        });
+
+    } catch (error) {
+        console.error('Get index history error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch index history' }
+        });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,20 @@
 const express = require('express');
 const supabase = require('../supabase');
 const priceService = require('../services/priceService');
+const analyticsService = require('../services/analyticsService');
 
 const router = express.Router();
 
 // Get current prices for all commodities
 router.get('/current', async (req, res) => {
     try {
-        const { currency = 'both' } = req.query;
+        const { currency, error: currencyError } = priceService.parseCurrency(req.query.currency);
+
+        if (currencyError) {
+            return res.status(400).json({
+                error: { message: currencyError }
+            });
+        }
 
         const client = supabase.getClient();
         const { data, error } = await client
@@ -36,20 +43,24 @@ router.get('/current', async (req, res) => {
             throw error;
         }
 
-        const transformedPrices = (data || []).map((price) => ({
+        const convertedField = priceService.convertedPriceField(currency);
+        const prices = await priceService.convertCurrentPrices(data || [], currency);
+
+        const transformedPrices = prices.map((price) => priceService.selectCurrencyPrices({
             id: price.id,
             commodity_id: price.commodity_id,
             commodity_name: price.commodities?.name ?? null,
             symbol: price.commodities?.symbol ?? null,
             unit: price.commodities?.unit ?? null,
             category_name: price.commodities?.commodity_categories?.name ?? null,
-            price_zar: currency === 'usd' ? undefined : price.price_zar,
-            price_usd: currency === 'zar' ? undefined : price.price_usd,
+            price_zar: price.price_zar,
+            price_usd: price.price_usd,
+            ...(convertedField ? { [convertedField]: price[convertedField] } : {}),
             exchange_rate: price.exchange_rate,
             change_24h_percent: price.change_24h_percent,
             volume_24h: price.volume_24h,
             last_updated: price.last_updated
-        }));
+        }, currency));
 
         res.json({
             success: true,
@@ -64,72 +75,180 @@ router.get('/current', async (req, res) => {
     }
 });
 
-// Get price history for a specific commodity
+// Get price history for a commodity by id or symbol, optionally between dates and resampled to weeks or months
 router.get('/history/:commodityId', async (req, res) => {
+    try {
+        const { errors, options } = priceService.parseHistoryOptions(req.query);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const { commodities: [commodity] } = await priceService.resolveCommodities([req.params.commodityId]);
+
+        if (!commodity) {
+            return res.status(404).json({
+                error: { message: 'Commodity not found' }
+            });
+        }
+
+        const history = await priceService.getPriceHistory(commodity.id, options);
+
+        // Filter by currency if specified
+        const filteredHistory = history.records.map((record) => priceService.selectCurrencyPrices(record, options.currency));
+
+        res.json({
+            success: true,
+            data: filteredHistory,
+            commodity: {
+                id: commodity.id,
+                symbol: commodity.symbol,
+                name: commodity.name
+            },
+            interval: history.interval,
+            aggregate: history.aggregate,
+            period: history.period,
+            pagination: history.pagination
+        });
+
+    } catch (error) {
+        console.error('Get price history error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch price history' }
+        });
+    }
+});
+
+// Correction trail for a commodity's historical prices, optionally for one date
+router.get('/history/:commodityId/revisions', async (req, res) => {
+    try {
+        const { commodityId } = req.params;
+        const { date } = req.query;
+
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                error: { message: 'date must be in YYYY-MM-DD format' }
+            });
+        }
+
+        const revisions = await priceService.getPriceRevisions(commodityId, { date: date || null });
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+
+    } catch (error) {
+        console.error('Get price revisions error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch price revisions' }
+        });
+    }
+});
+
+// Open/high/low/close bars for candlestick charts
+router.get('/ohlc/:commodityId', async (req, res) => {
     try {
         const { commodityId } = req.params;
         const {
-            period = '30d',
-            currency = 'both',
-            limit = 100
+            interval = 'daily',
+            period = '30d'
         } = req.query;
+        const { currency, error: currencyError } = priceService.parseCurrency(req.query.currency, { fallback: 'zar', allowBoth: false });
+
+        if (!priceService.isValidOhlcInterval(interval)) {
+            return res.status(400).json({
+                error: { message: 'interval must be daily, weekly or monthly' }
+            });
+        }
 
-        // Calculate date range based on period
-        const now = new Date();
-        let startDate;
-
-        switch (period) {
-            case '7d':
-                startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                break;
-            case '30d':
-                startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-                break;
-            case '90d':
-                startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-                break;
-            case '1y':
-                startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-                break;
-            default:
-                startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (currencyError) {
+            return res.status(400).json({
+                error: { message: currencyError }
+            });
         }
 
-        const limitValueRaw = parseInt(limit, 10);
-        const limitValue = Number.isNaN(limitValueRaw) || limitValueRaw <= 0 ? 100 : limitValueRaw;
+        const result = await priceService.getOhlcBars(commodityId, { interval, currency, period });
 
-        const client = supabase.getClient();
-        const { data, error } = await client
-            .from('price_history')
-            .select('recorded_date, price_zar, price_usd, exchange_rate, volume, recorded_time')
-            .eq('commodity_id', commodityId)
-            .gte('recorded_date', startDate.toISOString().split('T')[0])
-            .order('recorded_date', { ascending: true })
-            .limit(limitValue);
+        res.json({
+            success: true,
+            data: result.bars,
+            interval: result.interval,
+            currency: result.currency,
+            period: result.period
+        });
 
-        if (error) {
-            throw error;
+    } catch (error) {
+        console.error('Get OHLC bars error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to fetch OHLC data' }
+        });
+    }
+});
+
+// Moving averages, volatility, returns, drawdown and period-over-period changes
+router.get('/analytics/:commodityId', async (req, res) => {
+    try {
+        const { commodityId } = req.params;
+        const { errors, options } = analyticsService.parseOptions(req.query);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
         }
 
-        // Filter by currency if specified
-        const filteredHistory = (data || []).map(record => ({
-            recorded_date: record.recorded_date,
-            price_zar: currency === 'usd' ? undefined : record.price_zar,
-            price_usd: currency === 'zar' ? undefined : record.price_usd,
-            exchange_rate: record.exchange_rate,
-            volume: record.volume,
-            recorded_time: record.recorded_time
-        }));
+        const analytics = await analyticsService.getAnalytics(commodityId, options);
+
+        if (!analytics) {
+            return res.status(404).json({
+                error: { message: 'No price data found for the specified period' }
+            });
+        }
 
         res.json({
             success: true,
-            data: filteredHistory
+            data: analytics
         });
 
     } catch (error) {
-        console.error('Get price history error:', error);
+        console.error('Get price analytics error:', error);
         res.status(500).json({
-            error: { message: 'Failed to fetch price history' }
+            error: { message: 'Failed to calculate price analytics' }
+        });
+    }
+});
+
+// Side-by-side comparison of several commodities with a correlation matrix of daily returns
+router.get('/compare', async (req, res) => {
+    try {
+        const { errors, options } = analyticsService.parseCompareOptions(req.query);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: { message: errors.join('; ') }
+            });
+        }
+
+        const comparison = await analyticsService.compare(options);
+
+        if (comparison.error) {
+            return res.status(404).json({
+                error: { message: comparison.message }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: comparison
+        });
+
+    } catch (error) {
+        console.error('Compare prices error:', error);
+        res.status(500).json({
+            error: { message: 'Failed to compare commodities' }
         });
     }
 });
@@ -139,8 +258,15 @@ router.get('/stats/:commodityId', async (req, res) => {
     try {
         const { commodityId } = req.params;
         const { period = '30d' } = req.query;
+        const { currency, error: currencyError } = priceService.parseCurrency(req.query.currency);
+
+        if (currencyError) {
+            return res.status(400).json({
+                error: { message: currencyError }
+            });
+        }
 
-        const stats = await priceService.getCommodityStats(commodityId, period);
+        const stats = await priceService.getCommodityStats(commodityId, period, currency);
 
         if (!stats) {
             return res.status(404).json({
@@ -153,6 +279,7 @@ router.get('/stats/:commodityId', async (req, res) => {
             data: {
                 ...stats,
                 period,
+                currency,
                 commodity_id: commodityId
             }
         });
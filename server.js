@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const cron = require('node-cron');
 
 const supabase = require('./supabase');
 const authRoutes = require('./routes/auth');
@@ -11,7 +10,11 @@ const commodityRoutes = require('./routes/commodities-supabase');
 const priceRoutes = require('./routes/prices');
 const adminRoutes = require('./routes/admin');
 const currencyRoutes = require('./routes/currency');
+const indexRoutes = require('./routes/indices');
 const priceService = require('./services/priceService');
+const lockService = require('./services/lockService');
+const scheduleService = require('./services/scheduleService');
+const indexService = require('./services/indexService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -73,6 +76,7 @@ app.use('/api/commodities', commodityRoutes);
 app.use('/api/prices', priceRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/currency', currencyRoutes);
+app.use('/api/indices', indexRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -95,34 +99,49 @@ app.use((req, res) => {
     });
 });
 
-const priceUpdateTime = process.env.PRICE_UPDATE_TIME || '09:00';
-const priceUpdateTimezone = process.env.PRICE_UPDATE_TIMEZONE || 'Africa/Johannesburg';
+// Index levels follow every price publication
+priceService.onPricesPublished(({ from, to, runId }) => indexService.calculateAll({ from, to, runId }));
 
-const buildCronExpression = (time) => {
-    const [hours, minutes] = time.split(':');
-    const hour = Number.parseInt(hours, 10);
-    const minute = Number.parseInt(minutes, 10);
+const scheduledLockTtlMs = Number(process.env.PRICE_SCHEDULE_LOCK_TTL_MS || 1000 * 60 * 60);
+const scheduledLockWaitMs = Number(process.env.PRICE_SCHEDULE_LOCK_WAIT_MS || 1000 * 60 * 2);
 
-    if (Number.isNaN(hour) || Number.isNaN(minute) || hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-        console.warn(`Invalid PRICE_UPDATE_TIME "${time}" supplied. Falling back to 09:00.`);
-        return '0 9 * * *';
-    }
-
-    return `${minute} ${hour} * * *`;
-};
-
-// Schedule daily price updates at configured time
-cron.schedule(buildCronExpression(priceUpdateTime), async () => {
-    console.log(`Running scheduled price update for ${new Date().toISOString()}...`);
+// Runs one price update schedule; schedules are registered and reloaded by the schedule service
+const runScheduledPriceUpdate = async (schedule) => {
+    const slot = new Date();
+    slot.setSeconds(0, 0);
+    console.log(`Running scheduled price update "${schedule.name}" for ${new Date().toISOString()}...`);
     try {
-        await priceService.updateDailyPrices({ triggerSource: 'cron' });
+        // One lease per schedule slot; it is left to expire so instances firing late still see the slot as taken,
+        // and later acquisitions purge it once it has
+        const lease = await lockService.acquire(`scheduled_price_update:${schedule.id}:${slot.toISOString()}`, scheduledLockTtlMs);
+        if (!lease) {
+            console.log(`Scheduled price update "${schedule.name}" for ${slot.toISOString()} already claimed by another instance, skipping`);
+            return;
+        }
+
+        const result = await priceService.updateDailyPrices({
+            triggerSource: 'cron',
+            categoryId: schedule.category_id ?? null,
+            notes: `Scheduled run "${schedule.name}"`,
+            lockWaitMs: scheduledLockWaitMs
+        });
+        if (result.locked) {
+            console.log('Scheduled price update skipped: another price update is in progress');
+            return;
+        }
+        if (result.skippedHoliday) {
+            console.log(`Scheduled price update skipped: ${result.date} is not a trading day (${result.reason})`);
+            return;
+        }
+        if (result.paused) {
+            console.warn(`Scheduled price update "${schedule.name}" paused: ${result.message}`);
+            return;
+        }
         console.log('Daily price update completed successfully');
     } catch (error) {
         console.error('Daily price update failed:', error);
     }
-}, {
-    timezone: priceUpdateTimezone,
-});
+};
 
 // Initialize Supabase connection and start server
 async function startServer() {
@@ -133,6 +152,8 @@ async function startServer() {
             throw new Error('Failed to connect to Supabase');
         }
 
+        await scheduleService.start(runScheduledPriceUpdate);
+
         app.listen(PORT, () => {
             console.log(` Green Oil Index Backend API running on port ${PORT}`);
             console.log(` Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,381 @@
+const supabase = require('../supabase');
+const priceService = require('./priceService');
+const tradingCalendarService = require('./tradingCalendarService');
+
+const MAX_WINDOW = 250;
+const MAX_COMPARE = 10;
+const MAX_AVERAGES = 5;
+const PERIOD_CHANGES = {
+    wow: 7,
+    mom: 30,
+    yoy: 365
+};
+
+const round = (value, digits = 6) => (value === null || value === undefined || !Number.isFinite(value)
+    ? null
+    : parseFloat(value.toFixed(digits)));
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const sampleStdDev = (values) => {
+    if (values.length < 2) {
+        return null;
+    }
+    const average = mean(values);
+    return Math.sqrt(values.reduce((total, value) => total + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+const pearson = (xs, ys) => {
+    if (xs.length < 3) {
+        return null;
+    }
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    xs.forEach((x, index) => {
+        covariance += (x - meanX) * (ys[index] - meanY);
+        varianceX += (x - meanX) ** 2;
+        varianceY += (ys[index] - meanY) ** 2;
+    });
+
+    return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+};
+
+class AnalyticsService {
+    constructor() {
+        this.tradingDaysPerYear = Number(process.env.ANALYTICS_TRADING_DAYS_PER_YEAR || 252);
+        this.defaults = {
+            sma: [20, 50],
+            ema: [12, 26],
+            volatilityWindow: 20
+        };
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    parseWindows(value, fallback) {
+        if (value === undefined || value === null || value === '') {
+            return { windows: fallback };
+        }
+
+        const windows = String(value)
+            .split(',')
+            .map((part) => part.trim())
+            .filter(Boolean)
+            .map(Number);
+
+        if (windows.length > MAX_AVERAGES || windows.some((window) => !Number.isInteger(window) || window < 2 || window > MAX_WINDOW)) {
+            return { error: `Windows must be up to ${MAX_AVERAGES} whole numbers between 2 and ${MAX_WINDOW}` };
+        }
+
+        return { windows: [...new Set(windows)].sort((a, b) => a - b) };
+    }
+
+    // Parses the analytics query parameters; every series has a default so a bare request works
+    parseOptions(query = {}) {
+        const errors = [];
+        const { currency, error: currencyError } = priceService.parseCurrency(query.currency, { fallback: 'zar', allowBoth: false });
+
+        if (currencyError) {
+            errors.push(currencyError);
+        }
+
+        const sma = this.parseWindows(query.sma, this.defaults.sma);
+        const ema = this.parseWindows(query.ema, this.defaults.ema);
+        if (sma.error) errors.push(`sma: ${sma.error}`);
+        if (ema.error) errors.push(`ema: ${ema.error}`);
+
+        const volatilityWindow = query.volatility_window === undefined
+            ? this.defaults.volatilityWindow
+            : Number(query.volatility_window);
+        if (!Number.isInteger(volatilityWindow) || volatilityWindow < 2 || volatilityWindow > MAX_WINDOW) {
+            errors.push(`volatility_window must be a whole number between 2 and ${MAX_WINDOW}`);
+        }
+
+        const tradingDaysPerYear = query.trading_days_per_year === undefined
+            ? this.tradingDaysPerYear
+            : Number(query.trading_days_per_year);
+        if (!Number.isInteger(tradingDaysPerYear) || tradingDaysPerYear < 1 || tradingDaysPerYear > 366) {
+            errors.push('trading_days_per_year must be a whole number between 1 and 366');
+        }
+
+        return {
+            errors,
+            options: {
+                period: query.period || '1y',
+                currency,
+                sma: sma.windows,
+                ema: ema.windows,
+                volatilityWindow,
+                tradingDaysPerYear
+            }
+        };
+    }
+
+    simpleMovingAverage(values, window) {
+        let sum = 0;
+        return values.map((value, index) => {
+            sum += value;
+            if (index >= window) {
+                sum -= values[index - window];
+            }
+            return index >= window - 1 ? sum / window : null;
+        });
+    }
+
+    // Seeded with the simple average of the first window, as most charting packages do
+    exponentialMovingAverage(values, window) {
+        const alpha = 2 / (window + 1);
+        let previous = null;
+
+        return values.map((value, index) => {
+            if (index < window - 1) {
+                return null;
+            }
+            previous = previous === null
+                ? mean(values.slice(0, window))
+                : alpha * value + (1 - alpha) * previous;
+            return previous;
+        });
+    }
+
+    dailyReturns(values) {
+        return values.map((value, index) => (index === 0 || !values[index - 1]
+            ? null
+            : (value - values[index - 1]) / values[index - 1]));
+    }
+
+    rollingVolatility(returns, window, tradingDaysPerYear) {
+        return returns.map((_, index) => {
+            if (index < window) {
+                return null;
+            }
+            const sample = returns.slice(index - window + 1, index + 1).filter((value) => value !== null);
+            const deviation = sampleStdDev(sample);
+            return deviation === null ? null : deviation * Math.sqrt(tradingDaysPerYear);
+        });
+    }
+
+    maxDrawdown(points) {
+        let peak = null;
+        let worst = { percent: 0, peak_date: null, trough_date: null, recovery_date: null };
+        let candidate = null;
+
+        points.forEach((point) => {
+            if (!peak || point.close > peak.close) {
+                peak = point;
+            }
+
+            const drawdown = (point.close - peak.close) / peak.close;
+            if (drawdown < worst.percent) {
+                candidate = { percent: drawdown, peak_date: peak.recorded_date, trough_date: point.recorded_date, recovery_date: null, peak_close: peak.close };
+                worst = candidate;
+            } else if (candidate && !candidate.recovery_date && point.close >= candidate.peak_close) {
+                candidate.recovery_date = point.recorded_date;
+            }
+        });
+
+        return {
+            percent: round(worst.percent * 100, 4),
+            peak_date: worst.peak_date,
+            trough_date: worst.trough_date,
+            recovery_date: worst.recovery_date
+        };
+    }
+
+    // Change from the last close on or before `days` calendar days ago to the latest close
+    periodChange(points, days) {
+        const latest = points[points.length - 1];
+        if (!latest) {
+            return null;
+        }
+
+        const target = addDays(latest.recorded_date, -days);
+        const reference = [...points].reverse().find((point) => point.recorded_date <= target);
+        if (!reference) {
+            return null;
+        }
+
+        return {
+            from_date: reference.recorded_date,
+            from_close: reference.close,
+            change_percent: priceService.calculateChangePercentage(reference.close, latest.close)
+        };
+    }
+
+    async loadCloses(commodityId, since, currency) {
+        const rows = await priceService.loadPriceRows(commodityId, { since });
+        return priceService.convertPrices(priceService.selectDailyCloses(rows), currency);
+    }
+
+    parseCompareOptions(query = {}) {
+        const errors = [];
+        const identifiers = [...new Set(String(query.commodities || '')
+            .split(',')
+            .map((identifier) => identifier.trim())
+            .filter(Boolean))];
+        const { currency, error: currencyError } = priceService.parseCurrency(query.currency, { fallback: 'zar', allowBoth: false });
+
+        if (identifiers.length < 2 || identifiers.length > MAX_COMPARE) {
+            errors.push(`commodities must list between 2 and ${MAX_COMPARE} commodity ids or symbols, separated by commas`);
+        }
+        if (currencyError) {
+            errors.push(currencyError);
+        }
+
+        return { errors, options: { identifiers, currency, period: query.period || '90d' } };
+    }
+
+    // Series are aligned on the dates every commodity has a close, so rebasing and returns compare like with like
+    async compare({ identifiers, currency, period }) {
+        const { commodities, missing } = await priceService.resolveCommodities(identifiers);
+        if (missing.length > 0) {
+            return { error: 'not_found', message: `Unknown commodities: ${missing.join(', ')}` };
+        }
+
+        const periodRange = await priceService.resolvePeriod(period);
+        const field = `price_${currency}`;
+        const closesByCommodity = await Promise.all(commodities.map(async (commodity) => new Map(
+            (await this.loadCloses(commodity.id, periodRange.since, currency))
+                .map((close) => [close.recorded_date, Number(close[field])])
+        )));
+
+        const dates = [...closesByCommodity[0].keys()]
+            .filter((date) => closesByCommodity.every((closes) => closes.get(date) > 0))
+            .sort();
+
+        const series = commodities.map((commodity, index) => {
+            const prices = dates.map((date) => closesByCommodity[index].get(date));
+            const returns = this.dailyReturns(prices);
+
+            return {
+                commodity_id: commodity.id,
+                symbol: commodity.symbol,
+                name: commodity.name,
+                unit: commodity.unit,
+                observations: closesByCommodity[index].size,
+                points: dates.map((date, position) => ({
+                    recorded_date: date,
+                    price: prices[position],
+                    rebased: round((prices[position] / prices[0]) * 100, 4)
+                })),
+                returns: returns.slice(1)
+            };
+        });
+
+        const matrix = series.map((row) => series.map((column) => (row === column
+            ? (row.returns.length >= 3 ? 1 : null)
+            : round(pearson(row.returns, column.returns), 4))));
+
+        return {
+            currency,
+            period: {
+                start: periodRange.since,
+                end: periodRange.until,
+                trading_days: periodRange.trading_days
+            },
+            aligned_dates: dates.length,
+            series: series.map(({ returns, ...entry }) => entry),
+            correlation: {
+                method: 'pearson',
+                basis: 'daily_returns',
+                observations: Math.max(dates.length - 1, 0),
+                symbols: series.map((entry) => entry.symbol),
+                matrix
+            }
+        };
+    }
+
+    async getAnalytics(commodityId, options) {
+        const periodRange = await priceService.resolvePeriod(options.period);
+        const longestWindow = Math.max(...options.sma, ...options.ema, options.volatilityWindow + 1);
+
+        // Load enough history before the period for the longest window and for the year-on-year change
+        const warmupStart = addDays(periodRange.since, -Math.ceil(longestWindow * 1.6));
+        const yearStart = addDays(tradingCalendarService.localDate(), -(PERIOD_CHANGES.yoy + 7));
+        const closes = await this.loadCloses(commodityId, warmupStart < yearStart ? warmupStart : yearStart, options.currency);
+
+        if (closes.length === 0) {
+            return null;
+        }
+
+        const field = `price_${options.currency}`;
+        const points = closes.map((close) => ({ recorded_date: close.recorded_date, close: Number(close[field]) }));
+        const values = points.map((point) => point.close);
+        const returns = this.dailyReturns(values);
+        const volatility = this.rollingVolatility(returns, options.volatilityWindow, options.tradingDaysPerYear);
+        const smaSeries = options.sma.map((window) => [window, this.simpleMovingAverage(values, window)]);
+        const emaSeries = options.ema.map((window) => [window, this.exponentialMovingAverage(values, window)]);
+
+        const firstInPeriod = points.findIndex((point) => point.recorded_date >= periodRange.since);
+        if (firstInPeriod === -1) {
+            return null;
+        }
+
+        const periodPoints = points.slice(firstInPeriod);
+        const startClose = periodPoints[0].close;
+
+        const series = periodPoints.map((point, offset) => {
+            const index = firstInPeriod + offset;
+            const entry = {
+                recorded_date: point.recorded_date,
+                close: point.close,
+                daily_return: offset === 0 ? null : round(returns[index]),
+                cumulative_return: round((point.close - startClose) / startClose),
+                volatility: round(volatility[index])
+            };
+
+            smaSeries.forEach(([window, averages]) => {
+                entry[`sma_${window}`] = round(averages[index], 4);
+            });
+            emaSeries.forEach(([window, averages]) => {
+                entry[`ema_${window}`] = round(averages[index], 4);
+            });
+
+            return entry;
+        });
+
+        const periodReturns = returns.slice(firstInPeriod + 1).filter((value) => value !== null);
+        const periodDeviation = sampleStdDev(periodReturns);
+
+        return {
+            commodity_id: commodityId,
+            currency: options.currency,
+            parameters: {
+                sma: options.sma,
+                ema: options.ema,
+                volatility_window: options.volatilityWindow,
+                trading_days_per_year: options.tradingDaysPerYear
+            },
+            period: {
+                start: periodRange.since,
+                end: periodRange.until,
+                trading_days: periodRange.trading_days
+            },
+            summary: {
+                data_points: series.length,
+                total_return: round((periodPoints[periodPoints.length - 1].close - startClose) / startClose),
+                annualised_volatility: periodDeviation === null
+                    ? null
+                    : round(periodDeviation * Math.sqrt(options.tradingDaysPerYear)),
+                max_drawdown: this.maxDrawdown(periodPoints),
+                changes: Object.fromEntries(Object.entries(PERIOD_CHANGES)
+                    .map(([name, days]) => [name, this.periodChange(points, days)]))
+            },
+            series
+        };
+    }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,340 @@
+const supabase = require('../supabase');
+
+const RULE_FIELDS = 'id, commodity_id, category_id, max_change_percent, max_z_score, lookback_days, is_active, notes, created_by, created_at, updated_at';
+const QUARANTINE_FIELDS = 'id, commodity_id, run_id, trigger_source, price_usd, price_zar, exchange_rate, previous_price_zar, change_percent, z_score, rule_id, rule_scope, reason, status, detected_at, requested_by, reviewed_by, reviewed_at, review_notes, release_run_id';
+const QUARANTINE_STATUSES = ['quarantined', 'released', 'discarded'];
+const MIN_Z_SCORE_SAMPLES = 5;
+
+const parseThreshold = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+};
+
+class AnomalyService {
+    constructor() {
+        this.defaultRule = {
+            id: null,
+            scope: 'default',
+            max_change_percent: parseThreshold(process.env.PRICE_ANOMALY_MAX_CHANGE_PERCENT),
+            max_z_score: parseThreshold(process.env.PRICE_ANOMALY_MAX_Z_SCORE),
+            lookback_days: Number(process.env.PRICE_ANOMALY_LOOKBACK_DAYS || 30)
+        };
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    isValidStatus(status) {
+        return QUARANTINE_STATUSES.includes(status);
+    }
+
+    validateRule(input = {}, { partial = false } = {}) {
+        const errors = [];
+        const values = {};
+
+        if (input.commodity_id !== undefined) {
+            values.commodity_id = input.commodity_id || null;
+        }
+        if (input.category_id !== undefined) {
+            values.category_id = input.category_id || null;
+        }
+        if (values.commodity_id && values.category_id) {
+            errors.push('A rule applies to either a commodity or a category, not both');
+        }
+
+        ['max_change_percent', 'max_z_score'].forEach((field) => {
+            if (input[field] === undefined) {
+                return;
+            }
+            const threshold = parseThreshold(input[field]);
+            if (input[field] !== null && input[field] !== '' && threshold === null) {
+                errors.push(`${field} must be a number greater than zero`);
+            } else {
+                values[field] = threshold;
+            }
+        });
+
+        if (!partial && values.max_change_percent == null && values.max_z_score == null) {
+            errors.push('At least one of max_change_percent or max_z_score is required');
+        }
+
+        if (input.lookback_days !== undefined) {
+            const days = Number(input.lookback_days);
+            if (!Number.isInteger(days) || days < MIN_Z_SCORE_SAMPLES + 1 || days > 365) {
+                errors.push(`lookback_days must be a whole number between ${MIN_Z_SCORE_SAMPLES + 1} and 365`);
+            } else {
+                values.lookback_days = days;
+            }
+        }
+
+        if (input.is_active !== undefined) {
+            values.is_active = Boolean(input.is_active);
+        }
+
+        if (input.notes !== undefined) {
+            values.notes = input.notes ? String(input.notes) : null;
+        }
+
+        return { errors, values };
+    }
+
+    async listRules({ activeOnly = false } = {}) {
+        let query = this.adminClient()
+            .from('price_anomaly_rules')
+            .select(RULE_FIELDS)
+            .order('created_at', { ascending: true });
+
+        if (activeOnly) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async createRule(values, createdBy = null) {
+        const { data, error } = await this.adminClient()
+            .from('price_anomaly_rules')
+            .insert({
+                commodity_id: null,
+                category_id: null,
+                lookback_days: this.defaultRule.lookback_days,
+                is_active: true,
+                ...values,
+                created_by: createdBy
+            })
+            .select(RULE_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async updateRule(id, values) {
+        const { data, error } = await this.adminClient()
+            .from('price_anomaly_rules')
+            .update({
+                ...values,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select(RULE_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async deleteRule(id) {
+        const { data, error } = await this.adminClient()
+            .from('price_anomaly_rules')
+            .delete()
+            .eq('id', id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(data && data.length > 0);
+    }
+
+    // Most specific active rule wins: commodity, then category, then a global rule, then the environment defaults
+    resolveRule(rules, commodityId, categoryId = null) {
+        const rule = rules.find((candidate) => candidate.commodity_id === commodityId)
+            || (categoryId ? rules.find((candidate) => !candidate.commodity_id && candidate.category_id === categoryId) : null)
+            || rules.find((candidate) => !candidate.commodity_id && !candidate.category_id);
+
+        if (!rule) {
+            return this.defaultRule;
+        }
+
+        return {
+            id: rule.id,
+            scope: rule.commodity_id ? 'commodity' : rule.category_id ? 'category' : 'global',
+            max_change_percent: parseThreshold(rule.max_change_percent),
+            max_z_score: parseThreshold(rule.max_z_score),
+            lookback_days: Number(rule.lookback_days) || this.defaultRule.lookback_days
+        };
+    }
+
+    isEnabled(rule) {
+        return Boolean(rule && (rule.max_change_percent || rule.max_z_score));
+    }
+
+    // How unusual the proposed move is compared with the daily returns of the recent closes
+    zScore(closes, previousPriceZar, newPriceZar) {
+        const prices = closes.map((close) => Number(close.price_zar)).filter((price) => price > 0);
+        const returns = prices.slice(1).map((price, index) => (price - prices[index]) / prices[index]);
+
+        if (returns.length < MIN_Z_SCORE_SAMPLES || !previousPriceZar) {
+            return null;
+        }
+
+        const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+        const variance = returns.reduce((total, value) => total + (value - mean) ** 2, 0) / (returns.length - 1);
+        const deviation = Math.sqrt(variance);
+
+        if (deviation === 0) {
+            return null;
+        }
+
+        const move = (newPriceZar - previousPriceZar) / previousPriceZar;
+        return parseFloat(((move - mean) / deviation).toFixed(2));
+    }
+
+    evaluate(rule, { previousPriceZar, newPriceZar, closes = [] }) {
+        if (!this.isEnabled(rule) || !previousPriceZar) {
+            return null;
+        }
+
+        const changePercent = parseFloat((((newPriceZar - previousPriceZar) / previousPriceZar) * 100).toFixed(2));
+        const zScore = rule.max_z_score ? this.zScore(closes, previousPriceZar, newPriceZar) : null;
+        const reasons = [];
+
+        if (rule.max_change_percent && Math.abs(changePercent) > rule.max_change_percent) {
+            reasons.push(`Move of ${changePercent}% exceeds the ${rule.max_change_percent}% limit`);
+        }
+        if (rule.max_z_score && zScore !== null && Math.abs(zScore) > rule.max_z_score) {
+            reasons.push(`Z-score of ${zScore} exceeds the limit of ${rule.max_z_score} over ${rule.lookback_days} days`);
+        }
+
+        if (reasons.length === 0) {
+            return null;
+        }
+
+        return {
+            rule_id: rule.id,
+            rule_scope: rule.scope,
+            change_percent: changePercent,
+            z_score: zScore,
+            reason: reasons.join('; ')
+        };
+    }
+
+    async quarantine(record) {
+        const { data, error } = await this.adminClient()
+            .from('price_quarantine')
+            .insert({
+                status: 'quarantined',
+                detected_at: new Date().toISOString(),
+                ...record
+            })
+            .select(QUARANTINE_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.warn(`Quarantined price for commodity ${record.commodity_id}: ${record.reason}`);
+        return data;
+    }
+
+    async linkRun(ids, runId) {
+        if (ids.length === 0 || !runId) {
+            return;
+        }
+
+        const { error } = await this.adminClient()
+            .from('price_quarantine')
+            .update({ run_id: runId })
+            .in('id', ids);
+
+        if (error) {
+            console.error(`Failed to link quarantined prices to run ${runId}:`, error);
+        }
+    }
+
+    async listQuarantined({ status = 'quarantined', commodityId = null, limit = 50 } = {}) {
+        let query = this.adminClient()
+            .from('price_quarantine')
+            .select(`${QUARANTINE_FIELDS}, commodities(name, symbol)`)
+            .order('detected_at', { ascending: false })
+            .limit(limit);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (commodityId) {
+            query = query.eq('commodity_id', commodityId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getQuarantined(id) {
+        const { data, error } = await this.adminClient()
+            .from('price_quarantine')
+            .select(`${QUARANTINE_FIELDS}, commodities(name, symbol)`)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    // Same claim-by-status pattern as price change reviews, so only one admin can resolve an entry
+    async resolveQuarantined(id, status, reviewedBy, notes = null) {
+        const { data, error } = await this.adminClient()
+            .from('price_quarantine')
+            .update({
+                status,
+                reviewed_by: reviewedBy,
+                reviewed_at: new Date().toISOString(),
+                review_notes: notes ?? null
+            })
+            .eq('id', id)
+            .eq('status', 'quarantined')
+            .select(QUARANTINE_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async reopenQuarantined(id) {
+        const { error } = await this.adminClient()
+            .from('price_quarantine')
+            .update({
+                status: 'quarantined',
+                reviewed_by: null,
+                reviewed_at: null,
+                review_notes: null
+            })
+            .eq('id', id);
+
+        if (error) {
+            console.error(`Failed to reopen quarantined price ${id}:`, error);
+        }
+    }
+}
+
+module.exports = new AnomalyService();
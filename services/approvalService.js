@@ -0,0 +1,327 @@
+const supabase = require('../supabase');
+const currencyService = require('./currencyService');
+const priceService = require('./priceService');
+
+const CHANGE_FIELDS = 'id, commodity_id, change_type, payload, status, requested_by, requested_at, reviewed_by, reviewed_at, review_notes, run_id';
+const CHANGE_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+const percentMove = (previous, next) => {
+    const before = Number(previous);
+    if (!Number.isFinite(before) || before === 0) {
+        return null;
+    }
+    return Math.abs((Number(next) - before) / before) * 100;
+};
+
+class ApprovalService {
+    constructor() {
+        this.rangeThresholdPercent = Number(process.env.PRICE_RANGE_APPROVAL_THRESHOLD_PERCENT || 20);
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    isValidStatus(status) {
+        return CHANGE_STATUSES.includes(status);
+    }
+
+    async listChanges({ status = null, commodityId = null, limit = 50 } = {}) {
+        let query = this.adminClient()
+            .from('price_change_requests')
+            .select(`${CHANGE_FIELDS}, commodities(name, symbol)`)
+            .order('requested_at', { ascending: false })
+            .limit(limit);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (commodityId) {
+            query = query.eq('commodity_id', commodityId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getChange(id) {
+        const { data, error } = await this.adminClient()
+            .from('price_change_requests')
+            .select(`${CHANGE_FIELDS}, commodities(name, symbol)`)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async createChange(commodityId, changeType, payload, requestedBy) {
+        const [change] = await this.createChanges([{ commodityId, changeType, payload }], requestedBy);
+        return change;
+    }
+
+    // Opens several changes with one insert; only the latest request for a commodity stays open, older ones
+    // would publish stale values, so they are superseded once the new ones exist
+    async createChanges(changes, requestedBy) {
+        if (changes.length === 0) {
+            return [];
+        }
+
+        const client = this.adminClient();
+        const requestedAt = new Date().toISOString();
+
+        const { data, error } = await client
+            .from('price_change_requests')
+            .insert(changes.map(({ commodityId, changeType, payload }) => ({
+                commodity_id: commodityId,
+                change_type: changeType,
+                payload,
+                status: 'pending',
+                requested_by: requestedBy,
+                requested_at: requestedAt
+            })))
+            .select(CHANGE_FIELDS);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const changeType of [...new Set(changes.map((change) => change.changeType))]) {
+            const { error: supersedeError } = await client
+                .from('price_change_requests')
+                .update({
+                    status: 'superseded',
+                    reviewed_at: requestedAt
+                })
+                .in('commodity_id', changes
+                    .filter((change) => change.changeType === changeType)
+                    .map((change) => change.commodityId))
+                .eq('change_type', changeType)
+                .eq('status', 'pending')
+                .lt('requested_at', requestedAt);
+
+            if (supersedeError) {
+                await this.discardChanges(data.map((change) => change.id));
+                throw supersedeError;
+            }
+        }
+
+        return data;
+    }
+
+    // Removes changes that were opened by a request that then failed, so nothing half-submitted is left for review
+    async discardChanges(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        const { error } = await this.adminClient()
+            .from('price_change_requests')
+            .delete()
+            .in('id', ids)
+            .eq('status', 'pending');
+
+        if (error) {
+            console.error(`Failed to discard price changes ${ids.join(', ')}:`, error);
+        }
+    }
+
+    async submitPriceChange(commodityId, { priceUsd, priceZar }, requestedBy) {
+        return this.createChange(commodityId, 'price', this.pricePayload({ priceUsd, priceZar }), requestedBy);
+    }
+
+    // A range whose bounds move by more than the threshold needs a second admin; new ranges and small edits apply directly
+    async needsRangeApproval(commodityId, range, { zarToUsdRate: knownRate = null } = {}) {
+        const current = await priceService.getPriceRange(commodityId);
+        if (!current || current.min_price_usd === null || current.max_price_usd === null) {
+            return false;
+        }
+
+        const zarToUsdRate = knownRate ?? await currencyService.getCurrencyRate('ZAR', 'USD');
+        if (!zarToUsdRate) {
+            throw new Error('Failed to load exchange rate for price range update');
+        }
+
+        const { minPriceUsd, maxPriceUsd } = priceService.normalisePriceRange(range, zarToUsdRate);
+        const moves = [
+            percentMove(current.min_price_usd, minPriceUsd),
+            percentMove(current.max_price_usd, maxPriceUsd)
+        ];
+
+        return moves.some((move) => move === null || move > this.rangeThresholdPercent);
+    }
+
+    async submitPriceRangeChange(commodityId, range, requestedBy, { acceptFxCheck = false } = {}) {
+        if (!(await this.needsRangeApproval(commodityId, range))) {
+            const result = await priceService.updatePriceRange(commodityId, range, requestedBy, { acceptFxCheck });
+            if (result.paused) {
+                return { pending: false, paused: true, message: result.message, fxCheck: result.fxCheck };
+            }
+            return { pending: false, data: result.data };
+        }
+
+        const change = await this.createChange(commodityId, 'price_range', this.rangePayload(range), requestedBy);
+
+        return { pending: true, data: change };
+    }
+
+    pricePayload({ priceUsd, priceZar }) {
+        return {
+            price_usd: priceUsd ?? null,
+            price_zar: priceZar ?? null
+        };
+    }
+
+    rangePayload(range) {
+        return {
+            min_price_usd: range.minPriceUsd ?? null,
+            max_price_usd: range.maxPriceUsd ?? null,
+            min_price_zar: range.minPriceZar ?? null,
+            max_price_zar: range.maxPriceZar ?? null,
+            price_strategy: range.strategy,
+            strategy_params: range.strategyParams ?? null
+        };
+    }
+
+    // Moves a pending change to its review outcome; the status filter makes concurrent reviews safe
+    async claimChange(id, status, reviewedBy, notes) {
+        const { data, error } = await this.adminClient()
+            .from('price_change_requests')
+            .update({
+                status,
+                reviewed_by: reviewedBy,
+                reviewed_at: new Date().toISOString(),
+                review_notes: notes ?? null
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select(CHANGE_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async releaseChange(id) {
+        const { error } = await this.adminClient()
+            .from('price_change_requests')
+            .update({
+                status: 'pending',
+                reviewed_by: null,
+                reviewed_at: null,
+                review_notes: null
+            })
+            .eq('id', id);
+
+        if (error) {
+            console.error(`Failed to reopen price change ${id}:`, error);
+        }
+    }
+
+    async checkReviewable(id, reviewerId) {
+        const change = await this.getChange(id);
+
+        if (!change) {
+            return { error: 'not_found' };
+        }
+        if (change.status !== 'pending') {
+            return { error: 'conflict', message: `Change is already ${change.status}` };
+        }
+        if (change.requested_by === reviewerId) {
+            return { error: 'forbidden', message: 'A change must be reviewed by a different admin than the one who requested it' };
+        }
+
+        return { change };
+    }
+
+    async approveChange(id, reviewerId, notes = null, { acceptFxCheck = false } = {}) {
+        const check = await this.checkReviewable(id, reviewerId);
+        if (check.error) {
+            return { success: false, ...check };
+        }
+
+        const claimed = await this.claimChange(id, 'approved', reviewerId, notes);
+        if (!claimed) {
+            return { success: false, error: 'conflict', message: 'Change was reviewed by someone else' };
+        }
+
+        const { payload } = claimed;
+        let result;
+
+        try {
+            if (claimed.change_type === 'price') {
+                result = await priceService.updateCommodityPrice(
+                    claimed.commodity_id,
+                    { priceUsd: payload.price_usd ?? undefined, priceZar: payload.price_zar ?? undefined },
+                    claimed.requested_by,
+                    'manual_single',
+                    { approvedBy: reviewerId, acceptFxCheck }
+                );
+            } else {
+                result = await priceService.updatePriceRange(claimed.commodity_id, {
+                    minPriceUsd: payload.min_price_usd ?? undefined,
+                    maxPriceUsd: payload.max_price_usd ?? undefined,
+                    minPriceZar: payload.min_price_zar ?? undefined,
+                    maxPriceZar: payload.max_price_zar ?? undefined,
+                    strategy: payload.price_strategy,
+                    strategyParams: payload.strategy_params
+                }, claimed.requested_by, { acceptFxCheck });
+            }
+        } catch (error) {
+            await this.releaseChange(id);
+            throw error;
+        }
+
+        // Held back on the exchange rate: the change stays pending for another attempt
+        if (result.paused) {
+            await this.releaseChange(id);
+            return { success: false, error: 'fx_check', message: result.message, fxCheck: result.fxCheck };
+        }
+
+        if (result.data?.run_id) {
+            const { error: linkError } = await this.adminClient()
+                .from('price_change_requests')
+                .update({ run_id: result.data.run_id })
+                .eq('id', id);
+
+            if (linkError) {
+                console.error(`Failed to link price change ${id} to run ${result.data.run_id}:`, linkError);
+            }
+        }
+
+        return {
+            success: true,
+            quarantined: Boolean(result.quarantined),
+            message: result.message,
+            change: { ...claimed, run_id: result.data?.run_id ?? null },
+            data: result.data
+        };
+    }
+
+    async rejectChange(id, reviewerId, notes = null) {
+        const check = await this.checkReviewable(id, reviewerId);
+        if (check.error) {
+            return { success: false, ...check };
+        }
+
+        const claimed = await this.claimChange(id, 'rejected', reviewerId, notes);
+        if (!claimed) {
+            return { success: false, error: 'conflict', message: 'Change was reviewed by someone else' };
+        }
+
+        return { success: true, change: claimed };
+    }
+}
+
+module.exports = new ApprovalService();
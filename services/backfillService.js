@@ -0,0 +1,299 @@
+const supabase = require('../supabase');
+const currencyService = require('./currencyService');
+const priceService = require('./priceService');
+const priceStrategies = require('./priceStrategies');
+const tradingCalendarService = require('./tradingCalendarService');
+
+const parseNumber = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : undefined;
+};
+
+const roundPrice = (value) => parseFloat(Number(value).toFixed(4));
+// PostgREST returns at most 1000 rows per request
+const HISTORY_FETCH_SIZE = 1000;
+
+class BackfillService {
+    constructor() {
+        this.maxDays = Number(process.env.PRICE_BACKFILL_MAX_DAYS || 1100);
+        this.rateLookbackDays = Number(process.env.PRICE_BACKFILL_RATE_LOOKBACK_DAYS || 30);
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    async loadExistingDates(commodityId, from, to) {
+        const byDate = new Map();
+
+        for (let offset = 0; ; offset += HISTORY_FETCH_SIZE) {
+            const { data, error } = await this.adminClient()
+                .from('price_history')
+                .select('id, recorded_date, recorded_time, is_close, price_usd')
+                .eq('commodity_id', commodityId)
+                .gte('recorded_date', from)
+                .lte('recorded_date', to)
+                .order('recorded_date', { ascending: true })
+                .order('recorded_time', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + HISTORY_FETCH_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            (data || []).forEach((row) => {
+                byDate.set(row.recorded_date, [...(byDate.get(row.recorded_date) || []), row]);
+            });
+
+            if (!data || data.length < HISTORY_FETCH_SIZE) {
+                return byDate;
+            }
+        }
+    }
+
+    async loadPreviousClose(commodityId, beforeDate) {
+        const { data, error } = await this.adminClient()
+            .from('price_history')
+            .select('price_usd, recorded_date, recorded_time')
+            .eq('commodity_id', commodityId)
+            .lt('recorded_date', beforeDate)
+            // Intraday revisions are not closes; rows from before the flag existed count as closes
+            .or('is_close.is.null,is_close.eq.true')
+            .order('recorded_date', { ascending: false })
+            .order('recorded_time', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data && data.length > 0 ? Number(data[0].price_usd) : null;
+    }
+
+    resolveRangeUsd(range, zarToUsdRate) {
+        const minUsd = parseNumber(range.min_price_usd);
+        const maxUsd = parseNumber(range.max_price_usd);
+        if (minUsd !== undefined && maxUsd !== undefined) {
+            return { minUsd, maxUsd };
+        }
+
+        const minZar = parseNumber(range.min_price_zar);
+        const maxZar = parseNumber(range.max_price_zar);
+        if (minZar !== undefined && maxZar !== undefined) {
+            return { minUsd: minZar * zarToUsdRate, maxUsd: maxZar * zarToUsdRate };
+        }
+
+        return null;
+    }
+
+    async backfill({
+        commodityIds = [],
+        from,
+        to,
+        mode = 'generate',
+        prices = [],
+        overwrite = false,
+        triggeredBy = null
+    }) {
+        const tradingDays = (await tradingCalendarService.getTradingDays(from, to))
+            .filter((day) => day.is_trading_day)
+            .map((day) => day.date);
+
+        if (tradingDays.length === 0) {
+            return { success: false, message: 'No trading days in the requested range' };
+        }
+
+        const { data: commodities, error: commoditiesError } = await this.adminClient()
+            .from('commodities')
+            .select('id, symbol, price_ranges(min_price_zar, max_price_zar, min_price_usd, max_price_usd, price_strategy, strategy_params)')
+            .in('id', commodityIds);
+
+        if (commoditiesError) {
+            throw commoditiesError;
+        }
+
+        const missing = commodityIds.filter((id) => !(commodities || []).some((commodity) => commodity.id === id));
+        if (missing.length > 0) {
+            return { success: false, message: `Unknown commodities: ${missing.join(', ')}` };
+        }
+
+        return priceService.withPriceUpdateLock(async () => {
+            const rates = await currencyService.getDailyRates('ZAR', 'USD', tradingDays, { lookbackDays: this.rateLookbackDays });
+            const items = [];
+            let written = 0;
+            let skippedCount = 0;
+            let failedCount = 0;
+
+            for (const commodity of commodities) {
+                const range = Array.isArray(commodity.price_ranges) ? commodity.price_ranges[0] : commodity.price_ranges;
+                const existing = await this.loadExistingDates(commodity.id, from, to);
+                let previousUsd = await this.loadPreviousClose(commodity.id, tradingDays[0]);
+                let lastWritten = null;
+
+                const imported = new Map(prices
+                    .filter((row) => !row.commodity_id || row.commodity_id === commodity.id)
+                    .map((row) => [row.date, row]));
+
+                [...imported.keys()]
+                    .filter((date) => !tradingDays.includes(date))
+                    .forEach((date) => {
+                        items.push({
+                            commodity_id: commodity.id,
+                            recorded_date: date,
+                            status: 'skipped',
+                            reason: 'Not a trading day or outside the requested range'
+                        });
+                        skippedCount += 1;
+                    });
+
+                for (const date of tradingDays) {
+                    const zarToUsdRate = rates.get(date);
+                    const existingRows = existing.get(date) || [];
+
+                    if (mode === 'import' && !imported.has(date)) {
+                        continue;
+                    }
+
+                    if (existingRows.length > 0 && !overwrite) {
+                        items.push({
+                            commodity_id: commodity.id,
+                            recorded_date: date,
+                            status: 'skipped',
+                            exchange_rate: zarToUsdRate,
+                            reason: 'Price already recorded for this date'
+                        });
+                        skippedCount += 1;
+                        const [existingClose] = priceService.selectDailyCloses(existingRows);
+                        previousUsd = Number(existingClose?.price_usd) || previousUsd;
+                        continue;
+                    }
+
+                    try {
+                        let priceUsd;
+                        let priceZar;
+                        let strategy = 'import';
+
+                        if (mode === 'import') {
+                            const row = imported.get(date);
+                            priceUsd = parseNumber(row.price_usd);
+                            priceZar = parseNumber(row.price_zar);
+
+                            if (priceUsd === undefined && priceZar === undefined) {
+                                throw new Error('A price must be provided in USD or ZAR');
+                            }
+                            if (priceUsd === undefined) {
+                                priceUsd = priceZar * zarToUsdRate;
+                            }
+                            if (priceZar === undefined) {
+                                priceZar = priceUsd / zarToUsdRate;
+                            }
+                        } else {
+                            const bounds = range ? this.resolveRangeUsd(range, zarToUsdRate) : null;
+                            if (!bounds) {
+                                throw new Error('Incomplete price range values');
+                            }
+
+                            const generated = priceStrategies.generate(range.price_strategy, {
+                                minPrice: bounds.minUsd,
+                                maxPrice: bounds.maxUsd,
+                                previousPrice: previousUsd,
+                                params: range.strategy_params
+                            });
+                            priceUsd = generated.price;
+                            priceZar = priceUsd / zarToUsdRate;
+                            strategy = generated.strategy;
+                        }
+
+                        const point = {
+                            commodity_id: commodity.id,
+                            price_usd: roundPrice(priceUsd),
+                            price_zar: roundPrice(priceZar),
+                            exchange_rate: zarToUsdRate,
+                            recorded_date: date
+                        };
+
+                        // Backfilled closes are not intraday updates, so they leave no tick
+                        await priceService.writeDailyClose(point, existingRows, 'replace', { recordTick: false });
+
+                        items.push({
+                            commodity_id: commodity.id,
+                            recorded_date: date,
+                            status: 'updated',
+                            new_price_usd: point.price_usd,
+                            new_price_zar: point.price_zar,
+                            exchange_rate: zarToUsdRate,
+                            strategy,
+                            reason: existingRows.length > 0 ? 'Existing price overwritten' : null
+                        });
+                        previousUsd = point.price_usd;
+                        lastWritten = point;
+                        written += 1;
+                    } catch (error) {
+                        items.push({
+                            commodity_id: commodity.id,
+                            recorded_date: date,
+                            status: 'failed',
+                            exchange_rate: zarToUsdRate,
+                            reason: error?.message ?? String(error),
+                            error_code: error?.code ?? null
+                        });
+                        failedCount += 1;
+                    }
+                }
+
+                // A commodity with no published price yet starts from the last backfilled close
+                if (lastWritten && !(await priceService.getCurrentPriceRecord(commodity.id))) {
+                    const { error: currentError } = await this.adminClient()
+                        .from('current_prices')
+                        .upsert({
+                            commodity_id: commodity.id,
+                            price_zar: lastWritten.price_zar,
+                            price_usd: lastWritten.price_usd,
+                            exchange_rate: lastWritten.exchange_rate,
+                            change_24h_percent: 0,
+                            last_updated: new Date().toISOString()
+                        }, { onConflict: 'commodity_id' });
+
+                    if (currentError) {
+                        console.error(`Failed to seed current price for commodity ${commodity.id}:`, currentError);
+                    }
+                }
+            }
+
+            const runId = await priceService.recordPriceUpdateRun({
+                triggered_by: triggeredBy,
+                trigger_source: 'backfill',
+                total_commodities: commodities.length,
+                updated_commodities: new Set(items
+                    .filter((item) => item.status === 'updated')
+                    .map((item) => item.commodity_id)).size,
+                status: written > 0 ? 'success' : 'no_updates',
+                notes: `Backfill (${mode}) ${from} to ${to}: ${written} written, ${skippedCount} skipped, ${failedCount} failed`
+            }, items);
+
+            console.log(`Backfill complete: ${written} prices written, ${skippedCount} skipped, ${failedCount} failed`);
+
+            if (written > 0) {
+                await priceService.notifyPricesPublished({ from, to: priceService.todayDate(), runId, source: 'backfill' });
+            }
+
+            return {
+                success: true,
+                runId,
+                mode,
+                from,
+                to,
+                trading_days: tradingDays.length,
+                written,
+                skipped: skippedCount,
+                failed: failedCount
+            };
+        });
+    }
+}
+
+module.exports = new BackfillService();
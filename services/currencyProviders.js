@@ -0,0 +1,334 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const REQUEST_HEADERS = { 'User-Agent': 'ABOI-Backend/1.0' };
+
+const envKey = (name, setting) => `CURRENCY_PROVIDER_${name.toUpperCase()}_${setting}`;
+
+const legacyUrl = (version) => {
+    const url = process.env.CURRENCY_API_URL;
+    return url && url.includes('exchangerate-api.com/v6') === (version === 'v6') ? url : null;
+};
+
+const withTimeout = (promise, timeoutMs, name) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Re-expresses a table of rates quoted against one currency as rates from another currency in it
+const rebaseTable = (quotes, base) => {
+    const baseQuote = Number(quotes[base]);
+    if (!Number.isFinite(baseQuote) || baseQuote <= 0) {
+        throw new Error(`No rate for ${base} in provider data`);
+    }
+
+    const rates = {};
+    Object.entries(quotes).forEach(([code, quote]) => {
+        const value = Number(quote);
+        if (Number.isFinite(value) && value > 0) {
+            rates[code] = value / baseQuote;
+        }
+    });
+    return rates;
+};
+
+const splitCsvLine = (line) => line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+
+// SARB-style feed: one row per currency with the rand value of one unit, e.g. "currency,rate,date" / "USD,18.2150,2024-03-01"
+const parseSarbCsv = (text) => {
+    const [headerLine, ...lines] = String(text).split(/\r?\n/).filter((line) => line.trim());
+    const header = splitCsvLine(headerLine || '').map((cell) => cell.toLowerCase());
+    const codeColumn = header.findIndex((cell) => ['currency', 'code'].includes(cell));
+    const rateColumn = header.findIndex((cell) => ['rate', 'value', 'zar'].includes(cell));
+    const dateColumn = header.findIndex((cell) => cell === 'date');
+
+    if (codeColumn < 0 || rateColumn < 0) {
+        throw new Error('CSV feed needs currency and rate columns');
+    }
+
+    // Rand per unit becomes units per rand so the table has the same shape as the JSON providers
+    const latest = new Map();
+    lines.map(splitCsvLine).forEach((cells) => {
+        const code = String(cells[codeColumn] || '').toUpperCase();
+        const randPerUnit = Number(cells[rateColumn]);
+        const date = dateColumn >= 0 ? cells[dateColumn] : '';
+        if (!code || !Number.isFinite(randPerUnit) || randPerUnit <= 0) {
+            return;
+        }
+        if (!latest.has(code) || date >= latest.get(code).date) {
+            latest.set(code, { date, rate: 1 / randPerUnit });
+        }
+    });
+
+    const quotes = { ZAR: 1 };
+    latest.forEach(({ rate }, code) => {
+        quotes[code] = rate;
+    });
+    return quotes;
+};
+
+class CurrencyProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.health = new Map();
+        this.failureThreshold = Number(process.env.CURRENCY_PROVIDER_FAILURE_THRESHOLD || 3);
+        this.cooldownMs = Number(process.env.CURRENCY_PROVIDER_COOLDOWN_MS || 1000 * 60 * 5);
+
+        this.register('exchangerate_api_v4', {
+            description: 'ExchangeRate-API v4, or any endpoint returning { rates } for a base currency',
+            config: (name) => ({
+                url: process.env[envKey(name, 'URL')] || legacyUrl('v4') || 'https://api.exchangerate-api.com/v4/latest',
+                historyUrl: process.env[envKey(name, 'HISTORY_URL')] || process.env.CURRENCY_HISTORY_API_URL,
+                apiKey: process.env[envKey(name, 'API_KEY')] || process.env.CURRENCY_API_KEY
+            }),
+            fetchLatest: async ({ base, config, timeoutMs }) => {
+                const response = await axios.get(this.latestUrl(config, base), { timeout: timeoutMs, headers: REQUEST_HEADERS });
+                return response.data?.rates;
+            },
+            supportsHistory: (config) => Boolean(config.historyUrl),
+            fetchHistorical: async ({ base, date, config, timeoutMs }) => {
+                const response = await axios.get(this.historyUrl(config, base, date), { timeout: timeoutMs, headers: REQUEST_HEADERS });
+                return response.data?.rates;
+            }
+        });
+
+        this.register('exchangerate_api_v6', {
+            description: 'ExchangeRate-API v6 with an API key, including its history endpoint',
+            config: (name) => ({
+                url: process.env[envKey(name, 'URL')] || legacyUrl('v6') || 'https://v6.exchangerate-api.com/v6',
+                apiKey: process.env[envKey(name, 'API_KEY')] || process.env.CURRENCY_API_KEY
+            }),
+            fetchLatest: async ({ base, config, timeoutMs }) => {
+                const url = `${this.requireKey(config, 'ExchangeRate-API v6')}/latest/${base}`;
+                const response = await axios.get(url, { timeout: timeoutMs, headers: REQUEST_HEADERS });
+                return response.data?.conversion_rates ?? response.data?.rates;
+            },
+            fetchHistorical: async ({ base, date, config, timeoutMs }) => {
+                const [year, month, day] = date.split('-').map(Number);
+                const url = `${this.requireKey(config, 'ExchangeRate-API v6')}/history/${base}/${year}/${month}/${day}`;
+                const response = await axios.get(url, { timeout: timeoutMs, headers: REQUEST_HEADERS });
+                return response.data?.conversion_rates ?? response.data?.rates;
+            }
+        });
+
+        this.register('sarb_csv', {
+            description: 'CSV feed of rand values per unit of foreign currency, in the style of the SARB rates',
+            config: (name) => ({
+                url: process.env[envKey(name, 'URL')]
+            }),
+            fetchLatest: async ({ base, config, timeoutMs }) => {
+                if (!config.url) {
+                    throw new Error(`${envKey('sarb_csv', 'URL')} is not configured`);
+                }
+                const response = await axios.get(config.url, { timeout: timeoutMs, headers: REQUEST_HEADERS, responseType: 'text' });
+                return rebaseTable(parseSarbCsv(response.data), base);
+            }
+        });
+
+        this.register('local_json', {
+            description: 'Local JSON file of the form { "base": "USD", "rates": { "ZAR": 18.2 } }',
+            config: (name) => ({
+                path: process.env[envKey(name, 'PATH')]
+            }),
+            fetchLatest: async ({ base, config }) => {
+                if (!config.path) {
+                    throw new Error(`${envKey('local_json', 'PATH')} is not configured`);
+                }
+                const contents = JSON.parse(await fs.readFile(path.resolve(config.path), 'utf8'));
+                const fileBase = String(contents.base || 'USD').toUpperCase();
+                return rebaseTable({ ...contents.rates, [fileBase]: 1 }, base);
+            }
+        });
+
+        this.chain = this.parseChain(process.env.CURRENCY_PROVIDERS);
+    }
+
+    register(name, definition) {
+        if (!name || typeof definition?.fetchLatest !== 'function') {
+            throw new Error('A currency provider needs a name and a fetchLatest function');
+        }
+
+        this.providers.set(name, {
+            name,
+            description: definition.description || '',
+            config: definition.config || (() => ({})),
+            fetchLatest: definition.fetchLatest,
+            fetchHistorical: definition.fetchHistorical || null,
+            supportsHistory: definition.supportsHistory || (() => Boolean(definition.fetchHistorical))
+        });
+    }
+
+    // Without CURRENCY_PROVIDERS the chain is the single provider CURRENCY_API_URL points at, as before
+    parseChain(value) {
+        const names = String(value || '')
+            .split(',')
+            .map((name) => name.trim())
+            .filter(Boolean);
+
+        const unknown = names.filter((name) => !this.providers.has(name));
+        if (unknown.length > 0) {
+            console.warn(`Ignoring unknown currency providers in CURRENCY_PROVIDERS: ${unknown.join(', ')}`);
+        }
+
+        const known = [...new Set(names.filter((name) => this.providers.has(name)))];
+        if (known.length > 0) {
+            return known;
+        }
+
+        return [legacyUrl('v6') ? 'exchangerate_api_v6' : 'exchangerate_api_v4'];
+    }
+
+    timeoutFor(name) {
+        const timeoutMs = Number(process.env[envKey(name, 'TIMEOUT_MS')] || process.env.CURRENCY_PROVIDER_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+        return Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS;
+    }
+
+    requireKey(config, label) {
+        if (!config.apiKey) {
+            throw new Error(`An API key is required for ${label}`);
+        }
+        return `${String(config.url).replace(/\/$/, '')}/${config.apiKey}`;
+    }
+
+    latestUrl(config, base) {
+        const url = String(config.url || '').trim().replace(/\/$/, '');
+
+        // Generic placeholder format e.g. https://example.com/{API_KEY}/latest
+        if (url.includes('{API_KEY}')) {
+            if (!config.apiKey) {
+                throw new Error('An API key is required for the configured API URL');
+            }
+            return `${url.replace('{API_KEY}', config.apiKey)}/${base}`;
+        }
+
+        const latest = `${url}/${base}`;
+        if (!config.apiKey) {
+            return latest;
+        }
+        return `${latest}${latest.includes('?') ? '&' : '?'}access_key=${config.apiKey}`;
+    }
+
+    // Template format e.g. https://example.com/{date}?base={base}&access_key={API_KEY}
+    historyUrl(config, base, date) {
+        const [year, month, day] = date.split('-');
+        if (config.historyUrl.includes('{API_KEY}') && !config.apiKey) {
+            throw new Error('An API key is required for the configured history API URL');
+        }
+
+        return config.historyUrl
+            .replace('{API_KEY}', config.apiKey)
+            .replace('{base}', base)
+            .replace('{date}', date)
+            .replace('{year}', year)
+            .replace('{month}', month)
+            .replace('{day}', day);
+    }
+
+    healthOf(name) {
+        if (!this.health.has(name)) {
+            this.health.set(name, {
+                successes: 0,
+                failures: 0,
+                consecutive_failures: 0,
+                last_success_at: null,
+                last_failure_at: null,
+                last_error: null,
+                last_latency_ms: null,
+                skipped_until: null
+            });
+        }
+        return this.health.get(name);
+    }
+
+    // A provider that keeps failing is skipped for a cooldown instead of costing every request its timeout
+    isAvailable(name) {
+        const { skipped_until: skippedUntil } = this.healthOf(name);
+        return !skippedUntil || Date.parse(skippedUntil) <= Date.now();
+    }
+
+    recordSuccess(name, latencyMs) {
+        const health = this.healthOf(name);
+        health.successes += 1;
+        health.consecutive_failures = 0;
+        health.last_success_at = new Date().toISOString();
+        health.last_latency_ms = latencyMs;
+        health.skipped_until = null;
+    }
+
+    recordFailure(name, error, latencyMs) {
+        const health = this.healthOf(name);
+        health.failures += 1;
+        health.consecutive_failures += 1;
+        health.last_failure_at = new Date().toISOString();
+        health.last_error = error.message || String(error);
+        health.last_latency_ms = latencyMs;
+
+        if (health.consecutive_failures >= this.failureThreshold) {
+            health.skipped_until = new Date(Date.now() + this.cooldownMs).toISOString();
+        }
+    }
+
+    async callProvider(provider, method, args) {
+        const timeoutMs = this.timeoutFor(provider.name);
+        const startedAt = Date.now();
+
+        try {
+            const rates = await withTimeout(
+                provider[method]({ ...args, config: provider.config(provider.name), timeoutMs }),
+                timeoutMs,
+                provider.name
+            );
+            if (!rates || typeof rates !== 'object') {
+                throw new Error('Rate table missing in provider response');
+            }
+
+            this.recordSuccess(provider.name, Date.now() - startedAt);
+            return rates;
+        } catch (error) {
+            this.recordFailure(provider.name, error, Date.now() - startedAt);
+            console.error(`Currency provider ${provider.name} failed:`, error.message || error);
+            return null;
+        }
+    }
+
+    // Walks the chain in order until a provider returns a table, or one containing the target when one is given
+    async fetchTable(base, { target = null, date = null } = {}) {
+        const method = date ? 'fetchHistorical' : 'fetchLatest';
+
+        for (const name of this.chain) {
+            const provider = this.providers.get(name);
+            if ((date && !provider.supportsHistory(provider.config(name))) || !this.isAvailable(name)) {
+                continue;
+            }
+
+            const rates = await this.callProvider(provider, method, { base, date });
+            if (rates && (!target || Number(rates[target]) > 0)) {
+                return { rates, provider: name };
+            }
+        }
+
+        return null;
+    }
+
+    list() {
+        return this.chain.map((name, position) => {
+            const provider = this.providers.get(name);
+            return {
+                name,
+                position: position + 1,
+                description: provider.description,
+                timeout_ms: this.timeoutFor(name),
+                supports_history: provider.supportsHistory(provider.config(name)),
+                available: this.isAvailable(name),
+                health: { ...this.healthOf(name) }
+            };
+        });
+    }
+}
+
+module.exports = new CurrencyProviderRegistry();
@@ -1,16 +1,50 @@
-const axios = require('axios');
 const supabase = require('../supabase');
+const currencyProviders = require('./currencyProviders');
+
+const SUPPORTED_CURRENCIES = [
+    { code: 'ZAR', name: 'South African Rand', symbol: 'R' },
+    { code: 'USD', name: 'US Dollar', symbol: '$' },
+    { code: 'EUR', name: 'Euro', symbol: '€' },
+    { code: 'GBP', name: 'British Pound', symbol: '£' }
+];
+// Rows saved when the configured fallback was used are kept for the record but never count as a known rate
+const FALLBACK_SOURCE = 'fallback';
+const withoutFallbackRows = (query) => query.or(`source.is.null,source.neq.${FALLBACK_SOURCE}`);
+// PostgREST returns at most 1000 rows per request
+const RATE_FETCH_SIZE = 1000;
+const OVERRIDE_FIELDS = 'id, from_currency, to_currency, kind, rate, reason, set_by, set_at, expires_at, expired_by, expired_at';
+// An override wins over every other source; a fallback is only used once nothing else resolves the pair
+const OVERRIDE_KINDS = ['override', 'fallback'];
+const OVERRIDE_STATUSES = ['active', 'expired', 'all'];
+
+const parseLimit = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+};
+
+const hoursSince = (timestamp) => (Date.now() - Date.parse(timestamp)) / (1000 * 60 * 60);
 
 class CurrencyService {
     constructor() {
-        this.apiUrl = process.env.CURRENCY_API_URL || 'https://api.exchangerate-api.com/v4/latest';
-        this.apiKey = process.env.CURRENCY_API_KEY;
         this.fallbackRate = Number(process.env.CURRENCY_FALLBACK_RATE || 0.054);
         this.rateTableCache = new Map();
         this.rateTableTtlMs = Number(process.env.CURRENCY_TABLE_CACHE_TTL_MS || 1000 * 60 * 15);
         this.fallbackBaseFrom = this.normaliseCurrencyCode(process.env.CURRENCY_FALLBACK_BASE_FROM || 'ZAR');
         this.fallbackBaseTo = this.normaliseCurrencyCode(process.env.CURRENCY_FALLBACK_BASE_TO || 'USD');
         this.fallbackInversePrecision = Number(process.env.CURRENCY_FALLBACK_INVERSE_PRECISION || 6);
+        this.rateToleranceDays = Number(process.env.CURRENCY_RATE_TOLERANCE_DAYS || 7);
+        this.pivotCurrencies = String(process.env.CURRENCY_PIVOT_CURRENCIES || 'USD')
+            .split(',')
+            .map((code) => this.normaliseCurrencyCode(code))
+            .filter(Boolean);
+        // Sanity limits for rates that feed published prices; an empty value disables the check
+        this.rateChecks = {
+            max_deviation_percent: parseLimit(process.env.FX_MAX_DEVIATION_PERCENT ?? 5),
+            max_age_hours: parseLimit(process.env.FX_MAX_AGE_HOURS ?? 48)
+        };
     }
 
     adminClient() {
@@ -21,96 +55,57 @@ class CurrencyService {
         return String(code || '').trim().toUpperCase();
     }
 
+    getSupportedCurrencies() {
+        return SUPPORTED_CURRENCIES;
+    }
+
+    isSupportedCurrency(code) {
+        const normalised = this.normaliseCurrencyCode(code);
+        return SUPPORTED_CURRENCIES.some((currency) => currency.code === normalised);
+    }
+
     cacheKey(baseCurrency) {
         return this.normaliseCurrencyCode(baseCurrency);
     }
 
+    // First rate the provider chain can serve, with the name of the provider that served it
     async fetchExchangeRateFromAPI(fromCurrency, toCurrency) {
-        try {
-            const url = this.buildLatestUrl(fromCurrency);
-
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: { 'User-Agent': 'ABOI-Backend/1.0' }
-            });
-
-            const rate = response.data?.rates?.[toCurrency];
-            if (rate) {
-                return Number(rate);
-            }
-
-            throw new Error(`Rate for ${toCurrency} not found in API response`);
-        } catch (error) {
-            console.error('Error fetching exchange rate from API:', error.message || error);
+        const table = await this.fetchRateTable(fromCurrency, toCurrency);
+        if (!table) {
+            console.error(`No currency provider could supply ${fromCurrency}→${toCurrency}`);
             return null;
         }
+
+        return { rate: Number(table.rates[toCurrency]), source: table.provider };
     }
 
-    async fetchRateTable(fromCurrency) {
+    async fetchRateTable(fromCurrency, target = null) {
         const cacheKey = this.cacheKey(fromCurrency);
         const cached = this.rateTableCache.get(cacheKey);
 
-        if (cached && Date.now() - cached.fetchedAt < this.rateTableTtlMs) {
-            return cached.rates;
+        if (cached && Date.now() - cached.fetchedAt < this.rateTableTtlMs && (!target || Number(cached.rates[target]) > 0)) {
+            return { rates: cached.rates, provider: cached.provider };
         }
 
-        try {
-            const url = this.buildLatestUrl(fromCurrency);
-
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: { 'User-Agent': 'ABOI-Backend/1.0' }
+        const table = await currencyProviders.fetchTable(cacheKey, { target });
+        if (table) {
+            this.rateTableCache.set(cacheKey, {
+                fetchedAt: Date.now(),
+                rates: table.rates,
+                provider: table.provider
             });
-
-            if (response.data?.rates && typeof response.data.rates === 'object') {
-                this.rateTableCache.set(cacheKey, {
-                    fetchedAt: Date.now(),
-                    rates: response.data.rates
-                });
-
-                return response.data.rates;
-            }
-
-            throw new Error('Rate table missing in API response');
-        } catch (error) {
-            console.error('Error fetching rate table from API:', error.message || error);
-            return null;
-        }
-    }
-
-    buildLatestUrl(fromCurrency) {
-        let base = (this.apiUrl || '').trim();
-
-        if (!base) {
-            throw new Error('CURRENCY_API_URL is not configured');
-        }
-
-        base = base.replace(/\/$/, '');
-
-        // ExchangeRate-API v6 format: https://v6.exchangerate-api.com/v6/<API_KEY>/latest/USD
-        if (base.includes('exchangerate-api.com/v6')) {
-            if (!this.apiKey) {
-                throw new Error('CURRENCY_API_KEY is required for ExchangeRate-API v6');
-            }
-            return `${base}/${this.apiKey}/latest/${fromCurrency}`;
-        }
-
-        // Generic placeholder format e.g. https://example.com/{API_KEY}/latest
-        if (base.includes('{API_KEY}')) {
-            if (!this.apiKey) {
-                throw new Error('CURRENCY_API_KEY is required for the configured API URL');
-            }
-            return `${base.replace('{API_KEY}', this.apiKey)}/${fromCurrency}`;
         }
 
-        let url = `${base}/${fromCurrency}`;
+        return table;
+    }
 
-        if (this.apiKey) {
-            const separator = url.includes('?') ? '&' : '?';
-            url = `${url}${separator}access_key=${this.apiKey}`;
+    async fetchHistoricalRateFromAPI(fromCurrency, toCurrency, date) {
+        const table = await currencyProviders.fetchTable(fromCurrency, { target: toCurrency, date });
+        if (!table) {
+            return null;
         }
 
-        return url;
+        return { rate: Number(table.rates[toCurrency]), source: table.provider };
     }
 
     resolveFallbackRate(fromCurrency, toCurrency) {
@@ -148,11 +143,11 @@ class CurrencyService {
         const to = this.normaliseCurrencyCode(toCurrency);
 
         try {
-            const { data, error } = await this.adminClient()
+            const { data, error } = await withoutFallbackRows(this.adminClient()
                 .from('exchange_rates')
                 .select('rate, recorded_at')
                 .eq('from_currency', from)
-                .eq('to_currency', to)
+                .eq('to_currency', to))
                 .order('recorded_at', { ascending: false })
                 .limit(1);
 
@@ -177,7 +172,7 @@ class CurrencyService {
         }
     }
 
-    async saveExchangeRate(fromCurrency, toCurrency, rate, source = 'api') {
+    async saveExchangeRate(fromCurrency, toCurrency, rate, source = 'api', recordedAt = null) {
         const from = this.normaliseCurrencyCode(fromCurrency);
         const to = this.normaliseCurrencyCode(toCurrency);
 
@@ -188,7 +183,8 @@ class CurrencyService {
                     from_currency: from,
                     to_currency: to,
                     rate,
-                    source
+                    source,
+                    ...(recordedAt ? { recorded_at: recordedAt } : {})
                 });
 
             if (error) {
@@ -199,59 +195,316 @@ class CurrencyService {
         }
     }
 
-    async getCurrencyRate(fromCurrency = 'ZAR', toCurrency = 'USD') {
-        const from = this.normaliseCurrencyCode(fromCurrency);
-        const to = this.normaliseCurrencyCode(toCurrency);
+    async getLatestStoredRate(fromCurrency, toCurrency, { since = null, until = null } = {}) {
+        let query = withoutFallbackRows(this.adminClient()
+            .from('exchange_rates')
+            .select('rate, recorded_at, source')
+            .eq('from_currency', fromCurrency)
+            .eq('to_currency', toCurrency));
 
-        try {
-            if (!from || !to) {
-                throw new Error('Invalid currency codes supplied');
-            }
+        if (since) {
+            query = query.gte('recorded_at', since);
+        }
+        if (until) {
+            query = query.lte('recorded_at', until);
+        }
 
-            if (from === to) {
-                return 1;
-            }
+        const { data, error } = await query
+            .order('recorded_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
 
-            const cachedRate = await this.getCachedExchangeRate(from, to);
-            if (cachedRate) {
-                return cachedRate;
-            }
+        if (error) {
+            throw error;
+        }
+
+        return data && Number(data.rate) > 0 ? data : null;
+    }
+
+    // Latest stored row for the pair or its inverse, optionally within a time window
+    async findStoredLeg(from, to, window = {}) {
+        const direct = await this.getLatestStoredRate(from, to, window);
+        const inverse = await this.getLatestStoredRate(to, from, window);
+        const latest = [direct, inverse && { ...inverse, rate: 1 / Number(inverse.rate), inverted: true }]
+            .filter(Boolean)
+            .sort((a, b) => (a.recorded_at < b.recorded_at ? 1 : -1))[0];
+
+        return latest
+            ? { from, to, rate: Number(latest.rate), recorded_at: latest.recorded_at, source: latest.source, inverted: Boolean(latest.inverted) }
+            : null;
+    }
 
-            const apiRate = await this.fetchExchangeRateFromAPI(from, to);
-            if (apiRate) {
-                await this.saveExchangeRate(from, to, apiRate, 'api');
-                return apiRate;
+    // One leg of a cross rate: a cached provider table first, then the latest stored row for the pair or its inverse
+    async findRateLeg(from, to) {
+        const fromTable = this.rateTableCache.get(from);
+        if (fromTable && Number(fromTable.rates[to]) > 0) {
+            return { from, to, rate: Number(fromTable.rates[to]), recorded_at: new Date(fromTable.fetchedAt).toISOString(), source: fromTable.provider, inverted: false };
+        }
+
+        const toTable = this.rateTableCache.get(to);
+        if (toTable && Number(toTable.rates[from]) > 0) {
+            return { from, to, rate: 1 / Number(toTable.rates[from]), recorded_at: new Date(toTable.fetchedAt).toISOString(), source: toTable.provider, inverted: true };
+        }
+
+        return this.findStoredLeg(from, to);
+    }
+
+    // Cross rate through each pivot currency; the freshest one wins and is as old as its oldest leg
+    async triangulateRate(from, to, { window = null } = {}) {
+        const findLeg = (legFrom, legTo) => (window
+            ? this.findStoredLeg(legFrom, legTo, window)
+            : this.findRateLeg(legFrom, legTo));
+        const candidates = [];
+
+        for (const pivot of this.pivotCurrencies.filter((code) => code !== from && code !== to)) {
+            const first = await findLeg(from, pivot);
+            const second = first ? await findLeg(pivot, to) : null;
+
+            if (first && second) {
+                candidates.push({
+                    rate: parseFloat((first.rate * second.rate).toPrecision(10)),
+                    pivot,
+                    legs: [first, second],
+                    recorded_at: first.recorded_at < second.recorded_at ? first.recorded_at : second.recorded_at
+                });
             }
+        }
 
-            const { data, error } = await this.adminClient()
-                .from('exchange_rates')
-                .select('rate')
-                .eq('from_currency', from)
-                .eq('to_currency', to)
-                .order('recorded_at', { ascending: false })
-                .limit(1);
+        return candidates.sort((a, b) => (a.recorded_at < b.recorded_at ? 1 : -1))[0] ?? null;
+    }
 
-            if (!error && data && data.length > 0) {
-                console.log('Using stale cached exchange rate');
-                return Number(data[0].rate);
+    describeRate(from, to, rate, { source, recordedAt = new Date().toISOString(), derived = false, pivot = null, legs = undefined }) {
+        return {
+            from_currency: from,
+            to_currency: to,
+            rate: Number(rate),
+            source,
+            derived,
+            pivot,
+            legs,
+            recorded_at: recordedAt,
+            age_hours: parseFloat(hoursSince(recordedAt).toFixed(2))
+        };
+    }
+
+    deviationPercent(reference, rate) {
+        const before = Number(reference);
+        if (!Number.isFinite(before) || before === 0) {
+            return null;
+        }
+        return parseFloat((Math.abs((Number(rate) - before) / before) * 100).toFixed(4));
+    }
+
+    // Applies the sanity limits to a resolved rate; the first rule that fails is reported as the trigger
+    checkRate(resolved, fromCurrency = 'ZAR', toCurrency = 'USD') {
+        const { max_deviation_percent: maxDeviation, max_age_hours: maxAge } = this.rateChecks;
+        const pair = resolved
+            ? `${resolved.from_currency}→${resolved.to_currency}`
+            : `${this.normaliseCurrencyCode(fromCurrency)}→${this.normaliseCurrencyCode(toCurrency)}`;
+        const failures = [];
+
+        if (!resolved) {
+            failures.push({ rule: 'unavailable', message: `No exchange rate available for ${pair}` });
+        } else {
+            if (resolved.source === FALLBACK_SOURCE) {
+                failures.push({ rule: 'fallback_rate', message: `${pair} is using the configured fallback rate ${resolved.rate}` });
+            }
+            if (maxDeviation !== null && resolved.deviation_percent > maxDeviation) {
+                failures.push({
+                    rule: 'max_deviation',
+                    message: `${pair} rate ${resolved.rate} from ${resolved.source} moved ${resolved.deviation_percent}% from the last known rate ${resolved.reference_rate} (limit ${maxDeviation}%)`
+                });
             }
+            // An admin override vouches for its rate until it expires, however long ago it was set
+            if (maxAge !== null && resolved.source !== 'manual_override' && resolved.age_hours > maxAge) {
+                failures.push({
+                    rule: 'max_age',
+                    message: `${pair} rate is ${resolved.age_hours} hours old (limit ${maxAge} hours)`
+                });
+            }
+        }
+
+        return {
+            passed: failures.length === 0,
+            rule: failures[0]?.rule ?? null,
+            message: failures.map((failure) => failure.message).join('; ') || null,
+            failures,
+            pair,
+            rate: resolved?.rate ?? null,
+            source: resolved?.source ?? null,
+            reference_rate: resolved?.reference_rate ?? null,
+            deviation_percent: resolved?.deviation_percent ?? null,
+            age_hours: resolved?.age_hours ?? null,
+            limits: this.rateChecks,
+            checked_at: new Date().toISOString()
+        };
+    }
+
+    // Resolved rate with its sanity check, for callers that must not publish on a bad rate
+    async getCheckedRate(fromCurrency = 'ZAR', toCurrency = 'USD') {
+        let resolved = null;
+        try {
+            resolved = await this.resolveRate(fromCurrency, toCurrency);
+        } catch (error) {
+            console.error('Error resolving checked currency rate:', error);
+        }
+
+        const check = this.checkRate(resolved, fromCurrency, toCurrency);
+        if (!check.passed) {
+            console.warn(`Exchange rate check failed (${check.rule}): ${check.message}`);
+        }
+
+        return { rate: resolved?.rate ?? null, resolved, check };
+    }
+
+    // Current rate with where it came from: fresh stored rate, provider chain, stale stored rate, cross rate, then the configured fallback
+    async resolveRate(fromCurrency = 'ZAR', toCurrency = 'USD') {
+        const from = this.normaliseCurrencyCode(fromCurrency);
+        const to = this.normaliseCurrencyCode(toCurrency);
+
+        if (!from || !to) {
+            throw new Error('Invalid currency codes supplied');
+        }
 
-            const fallbackResolved = this.resolveFallbackRate(from, to) ?? this.fallbackRate;
-            if (!fallbackResolved || !Number.isFinite(fallbackResolved)) {
-                throw new Error('Fallback exchange rate unavailable');
+        if (from === to) {
+            return this.describeRate(from, to, 1, { source: 'identity' });
+        }
+
+        const override = await this.findActiveOverride(from, to);
+        if (override) {
+            return this.describeOverride(from, to, override, 'manual_override');
+        }
+
+        const stored = await this.getLatestStoredRate(from, to);
+        const storedAgeHours = stored ? (Date.now() - new Date(stored.recorded_at).getTime()) / (1000 * 60 * 60) : null;
+        if (stored && storedAgeHours < 4) {
+            return this.describeRate(from, to, stored.rate, { source: stored.source, recordedAt: stored.recorded_at });
+        }
+
+        const served = await this.fetchExchangeRateFromAPI(from, to);
+        if (served) {
+            const reference = stored ?? await this.findStoredLeg(from, to);
+            const deviation = reference ? this.deviationPercent(reference.rate, served.rate) : null;
+            const maxDeviation = this.rateChecks.max_deviation_percent;
+            const described = {
+                ...this.describeRate(from, to, served.rate, { source: served.source }),
+                reference_rate: reference ? Number(reference.rate) : null,
+                deviation_percent: deviation
+            };
+
+            // A rate that jumps past the limit is not stored, so it never becomes the reference for the next check
+            if (maxDeviation !== null && deviation > maxDeviation) {
+                console.warn(`Not storing ${from}→${to} rate ${served.rate} from ${served.source}: ${deviation}% from last known rate ${reference.rate}`);
+                return described;
             }
 
-            console.log(`Using fallback rate ${fallbackResolved} for ${from}→${to}`);
-            await this.saveExchangeRate(from, to, fallbackResolved, 'fallback');
-            return fallbackResolved;
+            await this.saveExchangeRate(from, to, served.rate, served.source);
+            return described;
+        }
+
+        // A stale rate for the pair, or the inverse of one stored the other way round
+        const storedLeg = await this.findStoredLeg(from, to);
+        if (storedLeg) {
+            console.log('Using stale cached exchange rate');
+            return this.describeRate(from, to, storedLeg.rate, {
+                source: storedLeg.source,
+                recordedAt: storedLeg.recorded_at,
+                derived: storedLeg.inverted
+            });
+        }
+
+        const cross = await this.triangulateRate(from, to);
+        if (cross) {
+            console.log(`Using ${from}→${to} cross rate via ${cross.pivot}`);
+            return this.describeRate(from, to, cross.rate, {
+                source: 'cross_rate',
+                recordedAt: cross.recorded_at,
+                derived: true,
+                pivot: cross.pivot,
+                legs: cross.legs
+            });
+        }
+
+        const manualFallback = await this.findActiveOverride(from, to, 'fallback');
+        if (manualFallback) {
+            console.log(`Using manual fallback rate ${manualFallback.rate} for ${from}→${to}`);
+            await this.saveExchangeRate(from, to, manualFallback.rate, FALLBACK_SOURCE);
+            return this.describeOverride(from, to, manualFallback, FALLBACK_SOURCE);
+        }
+
+        // The configured fallback only covers its own pair; any other pair has no safe default
+        const fallbackResolved = this.resolveFallbackRate(from, to);
+        if (!fallbackResolved || !Number.isFinite(fallbackResolved)) {
+            return null;
+        }
+
+        console.log(`Using fallback rate ${fallbackResolved} for ${from}→${to}`);
+        await this.saveExchangeRate(from, to, fallbackResolved, FALLBACK_SOURCE);
+        return this.describeRate(from, to, fallbackResolved, { source: FALLBACK_SOURCE });
+    }
+
+    async getCurrencyRate(fromCurrency = 'ZAR', toCurrency = 'USD') {
+        try {
+            const resolved = await this.resolveRate(fromCurrency, toCurrency);
+            if (!resolved) {
+                console.error(`No exchange rate available for ${fromCurrency}→${toCurrency}`);
+            }
+            return resolved?.rate ?? null;
         } catch (error) {
             console.error('Error calculating currency rate:', error);
-            const fallbackResolved = this.resolveFallbackRate(fromCurrency, toCurrency) ?? this.fallbackRate;
+            const fallbackResolved = this.resolveFallbackRate(fromCurrency, toCurrency);
             console.log(`Fallback exchange rate applied: ${fallbackResolved}`);
             return fallbackResolved;
         }
     }
 
+    // Rate as of a past date: the nearest stored rate on or before it within the tolerance window, else the provider's
+    // history, else a cross rate from stored rows in the same window
+    async getRateOnDate(fromCurrency, toCurrency, date, { toleranceDays = this.rateToleranceDays } = {}) {
+        const from = this.normaliseCurrencyCode(fromCurrency);
+        const to = this.normaliseCurrencyCode(toCurrency);
+        const describe = (rate, recordedAt, source, { derived = false, pivot = null, legs = undefined } = {}) => ({
+            from_currency: from,
+            to_currency: to,
+            date,
+            rate: Number(rate),
+            rate_date: String(recordedAt).split('T')[0],
+            recorded_at: recordedAt,
+            source,
+            derived,
+            pivot,
+            legs,
+            age_days: Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${String(recordedAt).split('T')[0]}T00:00:00Z`)) / 86400000)
+        });
+
+        if (from === to) {
+            return describe(1, `${date}T00:00:00.000Z`, 'identity');
+        }
+
+        const windowStart = new Date(`${date}T00:00:00Z`);
+        windowStart.setUTCDate(windowStart.getUTCDate() - toleranceDays);
+        const window = { since: windowStart.toISOString(), until: `${date}T23:59:59.999Z` };
+
+        const nearest = await this.findStoredLeg(from, to, window);
+        if (nearest) {
+            return describe(nearest.rate, nearest.recorded_at, nearest.source);
+        }
+
+        const served = await this.fetchHistoricalRateFromAPI(from, to, date);
+        if (served) {
+            const recordedAt = `${date}T12:00:00.000Z`;
+            await this.saveExchangeRate(from, to, served.rate, served.source, recordedAt);
+            return describe(served.rate, recordedAt, served.source);
+        }
+
+        const cross = await this.triangulateRate(from, to, { window });
+        if (cross) {
+            return describe(cross.rate, cross.recorded_at, 'cross_rate', { derived: true, pivot: cross.pivot, legs: cross.legs });
+        }
+
+        return null;
+    }
+
     async getCurrencyRates(fromCurrency = 'USD', targetCurrencies = []) {
         const base = this.normaliseCurrencyCode(fromCurrency);
 
@@ -269,6 +522,12 @@ class CurrencyService {
         const missingTargets = [];
 
         await Promise.all(distinctTargets.map(async (target) => {
+            const override = await this.findActiveOverride(base, target);
+            if (override) {
+                result[target] = override.rate;
+                return;
+            }
+
             const cachedRate = await this.getCachedExchangeRate(base, target);
             if (cachedRate) {
                 result[target] = Number(cachedRate);
@@ -282,10 +541,10 @@ class CurrencyService {
 
             if (table) {
                 missingTargets.forEach((target) => {
-                    const rate = table[target];
+                    const rate = table.rates[target];
                     if (typeof rate === 'number') {
                         result[target] = Number(rate);
-                        this.saveExchangeRate(base, target, rate, 'api_batch').catch((error) => {
+                        this.saveExchangeRate(base, target, rate, table.provider).catch((error) => {
                             console.error('Failed to persist batch currency rate:', error);
                         });
                     }
@@ -316,7 +575,7 @@ class CurrencyService {
         }
 
         const rate = await this.getCurrencyRate(from, to);
-        return Number((amount * rate).toFixed(4));
+        return rate ? Number((amount * rate).toFixed(4)) : null;
     }
 
     async getExchangeRateHistory(fromCurrency, toCurrency, days = 30) {
@@ -343,10 +602,330 @@ class CurrencyService {
         }
     }
 
-    async updateFallbackRate(newRate) {
+    async loadRateHistory(fromCurrency, toCurrency, since, until) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += RATE_FETCH_SIZE) {
+            const { data, error } = await withoutFallbackRows(this.adminClient()
+                .from('exchange_rates')
+                .select('rate, recorded_at')
+                .eq('from_currency', fromCurrency)
+                .eq('to_currency', toCurrency))
+                .gte('recorded_at', since)
+                .lte('recorded_at', until)
+                .order('recorded_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + RATE_FETCH_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+            if (!data || data.length < RATE_FETCH_SIZE) {
+                break;
+            }
+        }
+
+        return rows.filter((row) => Number(row.rate) > 0);
+    }
+
+    async loadPairHistory(from, to, since, until) {
+        const history = await this.loadRateHistory(from, to, since, until);
+        if (history.length > 0) {
+            return history;
+        }
+
+        return (await this.loadRateHistory(to, from, since, until))
+            .map((row) => ({ ...row, rate: 1 / Number(row.rate) }));
+    }
+
+    // Walks a rate history alongside sorted dates; dates older than every stored rate use the earliest one
+    stepDailyRates(history, sortedDates) {
+        const rates = new Map();
+        let cursor = -1;
+
+        sortedDates.forEach((date) => {
+            const endOfDay = `${date}T23:59:59.999Z`;
+            while (cursor + 1 < history.length && history[cursor + 1].recorded_at <= endOfDay) {
+                cursor += 1;
+            }
+            rates.set(date, Number(history[Math.max(cursor, 0)].rate));
+        });
+
+        return rates;
+    }
+
+    // Rate in effect on each date: the last exchange_rates row recorded on or before that day, read from the inverse pair
+    // if needed, or crossed through a pivot currency when neither direction is stored
+    async getDailyRates(fromCurrency, toCurrency, dates, { lookbackDays = 30 } = {}) {
+        const from = this.normaliseCurrencyCode(fromCurrency);
+        const to = this.normaliseCurrencyCode(toCurrency);
+        if (dates.length === 0) {
+            return new Map();
+        }
+
+        const sorted = [...new Set(dates)].sort();
+        if (from === to) {
+            return new Map(sorted.map((date) => [date, 1]));
+        }
+
+        const lookbackStart = new Date(`${sorted[0]}T00:00:00Z`);
+        lookbackStart.setUTCDate(lookbackStart.getUTCDate() - lookbackDays);
+        const since = lookbackStart.toISOString();
+        const until = `${sorted[sorted.length - 1]}T23:59:59.999Z`;
+
+        const history = await this.loadPairHistory(from, to, since, until);
+        if (history.length > 0) {
+            return this.stepDailyRates(history, sorted);
+        }
+
+        for (const pivot of this.pivotCurrencies.filter((code) => code !== from && code !== to)) {
+            const first = await this.loadPairHistory(from, pivot, since, until);
+            const second = first.length > 0 ? await this.loadPairHistory(pivot, to, since, until) : [];
+
+            if (second.length > 0) {
+                const firstRates = this.stepDailyRates(first, sorted);
+                const secondRates = this.stepDailyRates(second, sorted);
+                return new Map(sorted.map((date) => [date, firstRates.get(date) * secondRates.get(date)]));
+            }
+        }
+
+        // Nothing stored for the range, so today's rate is the last resort
+        const current = await this.getCurrencyRate(from, to);
+        return new Map(sorted.map((date) => [date, current]));
+    }
+
+    // Persists a new fallback for the configured pair so it survives restarts and is shared by every instance
+    async updateFallbackRate(newRate, { setBy = null, reason = 'Fallback rate updated', expiresAt = null } = {}) {
+        const override = await this.setOverride({
+            from_currency: this.fallbackBaseFrom,
+            to_currency: this.fallbackBaseTo,
+            kind: 'fallback',
+            rate: Number(newRate),
+            reason,
+            expires_at: expiresAt
+        }, setBy);
+
         this.fallbackRate = Number(newRate);
         console.log(`Fallback rate updated to ${this.fallbackRate}`);
-        return true;
+        return override;
+    }
+
+    isValidOverrideStatus(status) {
+        return OVERRIDE_STATUSES.includes(status);
+    }
+
+    isOverrideActive(override, now = Date.now()) {
+        return !override.expired_at && (!override.expires_at || Date.parse(override.expires_at) > now);
+    }
+
+    validateOverride(input = {}) {
+        const errors = [];
+        const values = {
+            from_currency: this.normaliseCurrencyCode(input.from_currency),
+            to_currency: this.normaliseCurrencyCode(input.to_currency),
+            kind: input.kind === undefined ? 'override' : input.kind
+        };
+
+        ['from_currency', 'to_currency'].forEach((field) => {
+            if (!this.isSupportedCurrency(values[field])) {
+                errors.push(`${field} must be one of ${SUPPORTED_CURRENCIES.map((currency) => currency.code).join(', ')}`);
+            }
+        });
+        if (values.from_currency && values.from_currency === values.to_currency) {
+            errors.push('from_currency and to_currency must differ');
+        }
+
+        if (!OVERRIDE_KINDS.includes(values.kind)) {
+            errors.push(`kind must be one of ${OVERRIDE_KINDS.join(', ')}`);
+        }
+
+        const rate = Number(input.rate);
+        if (input.rate === null || input.rate === '' || !Number.isFinite(rate) || rate <= 0) {
+            errors.push('rate must be a number greater than zero');
+        } else {
+            values.rate = rate;
+        }
+
+        const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+        if (!reason) {
+            errors.push('reason is required');
+        } else {
+            values.reason = reason;
+        }
+
+        values.expires_at = null;
+        if (input.expires_at !== undefined && input.expires_at !== null && input.expires_at !== '') {
+            const expiresAt = Date.parse(input.expires_at);
+            if (Number.isNaN(expiresAt)) {
+                errors.push('expires_at must be a valid date');
+            } else if (expiresAt <= Date.now()) {
+                errors.push('expires_at must be in the future');
+            } else {
+                values.expires_at = new Date(expiresAt).toISOString();
+            }
+        }
+
+        return { errors, values };
+    }
+
+    async listOverrides({ status = 'active', fromCurrency = null, toCurrency = null, limit = 100 } = {}) {
+        let query = this.adminClient()
+            .from('exchange_rate_overrides')
+            .select(OVERRIDE_FIELDS)
+            .order('set_at', { ascending: false })
+            .limit(limit);
+
+        if (fromCurrency) {
+            query = query.eq('from_currency', this.normaliseCurrencyCode(fromCurrency));
+        }
+        if (toCurrency) {
+            query = query.eq('to_currency', this.normaliseCurrencyCode(toCurrency));
+        }
+        // Scheduled expiry is only a timestamp, so whether an override is still active is decided here
+        if (status === 'active') {
+            query = query.is('expired_at', null);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || [])
+            .map((override) => ({ ...override, is_active: this.isOverrideActive(override) }))
+            .filter((override) => status === 'all' || override.is_active === (status === 'active'));
+    }
+
+    async getOverride(id) {
+        const { data, error } = await this.adminClient()
+            .from('exchange_rate_overrides')
+            .select(OVERRIDE_FIELDS)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ? { ...data, is_active: this.isOverrideActive(data) } : null;
+    }
+
+    async getLatestActiveOverride(from, to, kind) {
+        const { data, error } = await this.adminClient()
+            .from('exchange_rate_overrides')
+            .select(OVERRIDE_FIELDS)
+            .eq('from_currency', from)
+            .eq('to_currency', to)
+            .eq('kind', kind)
+            .is('expired_at', null)
+            .order('set_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).find((override) => this.isOverrideActive(override)) ?? null;
+    }
+
+    // Active override for the pair, or the inverse of one set the other way round; the most recently set wins
+    async findActiveOverride(fromCurrency, toCurrency, kind = 'override') {
+        const from = this.normaliseCurrencyCode(fromCurrency);
+        const to = this.normaliseCurrencyCode(toCurrency);
+        const direct = await this.getLatestActiveOverride(from, to, kind);
+        const inverse = await this.getLatestActiveOverride(to, from, kind);
+        const latest = [direct, inverse && { ...inverse, rate: 1 / Number(inverse.rate), inverted: true }]
+            .filter(Boolean)
+            .sort((a, b) => (a.set_at < b.set_at ? 1 : -1))[0];
+
+        return latest ? { ...latest, rate: Number(latest.rate), inverted: Boolean(latest.inverted) } : null;
+    }
+
+    describeOverride(from, to, override, source) {
+        return {
+            ...this.describeRate(from, to, override.rate, { source, recordedAt: override.set_at, derived: override.inverted }),
+            override: {
+                id: override.id,
+                kind: override.kind,
+                reason: override.reason,
+                set_by: override.set_by,
+                set_at: override.set_at,
+                expires_at: override.expires_at
+            }
+        };
+    }
+
+    // Setting an override expires the active one of the same kind for the pair, in either direction
+    async setOverride(values, setBy = null) {
+        const client = this.adminClient();
+        const now = new Date().toISOString();
+
+        const { data: open, error: openError } = await client
+            .from('exchange_rate_overrides')
+            .select('id, from_currency, to_currency, expires_at, expired_at')
+            .in('from_currency', [values.from_currency, values.to_currency])
+            .in('to_currency', [values.from_currency, values.to_currency])
+            .eq('kind', values.kind)
+            .is('expired_at', null);
+
+        if (openError) {
+            throw openError;
+        }
+
+        // Overrides that already lapsed on schedule keep their own expiry
+        const replacedIds = (open || [])
+            .filter((override) => this.isOverrideActive(override))
+            .map((override) => override.id);
+
+        if (replacedIds.length > 0) {
+            const { error: expireError } = await client
+                .from('exchange_rate_overrides')
+                .update({ expired_at: now, expired_by: setBy })
+                .in('id', replacedIds);
+
+            if (expireError) {
+                throw expireError;
+            }
+        }
+
+        const { data, error } = await client
+            .from('exchange_rate_overrides')
+            .insert({
+                ...values,
+                set_by: setBy,
+                set_at: now
+            })
+            .select(OVERRIDE_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        console.log(`Manual ${values.kind} rate ${values.rate} set for ${values.from_currency}→${values.to_currency}`);
+        return { ...data, is_active: true };
+    }
+
+    // The expired_at filter keeps two admins from expiring the same override twice
+    async expireOverride(id, expiredBy = null) {
+        const { data, error } = await this.adminClient()
+            .from('exchange_rate_overrides')
+            .update({
+                expired_at: new Date().toISOString(),
+                expired_by: expiredBy
+            })
+            .eq('id', id)
+            .is('expired_at', null)
+            .select(OVERRIDE_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ? { ...data, is_active: false } : null;
     }
 }
 
@@ -0,0 +1,345 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const supabase = require('../supabase');
+const currencyService = require('./currencyService');
+const priceService = require('./priceService');
+const approvalService = require('./approvalService');
+
+const PRICE_COLUMNS = ['price_usd', 'price_zar'];
+const RANGE_COLUMNS = ['min_price_usd', 'max_price_usd', 'min_price_zar', 'max_price_zar'];
+
+const normaliseHeader = (header) => String(header ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+const cellValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        if ('result' in value) return value.result ?? '';
+        if ('text' in value) return value.text;
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    }
+    return value;
+};
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+class ImportService {
+    constructor() {
+        this.maxRows = Number(process.env.PRICE_IMPORT_MAX_ROWS || 1000);
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    detectFormat(file) {
+        const name = String(file?.originalname || '').toLowerCase();
+        if (name.endsWith('.csv') || file?.mimetype === 'text/csv') {
+            return 'csv';
+        }
+        if (name.endsWith('.xlsx') || file?.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+            return 'xlsx';
+        }
+        return null;
+    }
+
+    // Rows keyed by normalised header, each tagged with its line number in the sheet
+    async parseFile(file) {
+        const format = this.detectFormat(file);
+        if (!format) {
+            throw new Error('Upload must be a .csv or .xlsx file');
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = format === 'csv'
+            ? await workbook.csv.read(Readable.from([file.buffer]))
+            : await workbook.xlsx.load(file.buffer).then(() => workbook.worksheets[0]);
+
+        if (!worksheet) {
+            throw new Error('Workbook does not contain a worksheet');
+        }
+
+        let headers = null;
+        const rows = [];
+
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+            const values = row.values.slice(1).map(cellValue);
+
+            if (!headers) {
+                headers = values.map(normaliseHeader);
+                return;
+            }
+
+            const record = { row: rowNumber };
+            headers.forEach((header, index) => {
+                if (header) {
+                    record[header] = typeof values[index] === 'string' ? values[index].trim() : values[index];
+                }
+            });
+            rows.push(record);
+        });
+
+        if (!headers || !headers.includes('symbol')) {
+            throw new Error('A "symbol" column is required');
+        }
+
+        if (![...PRICE_COLUMNS, ...RANGE_COLUMNS].some((column) => headers.includes(column))) {
+            throw new Error(`At least one of ${[...PRICE_COLUMNS, ...RANGE_COLUMNS].join(', ')} columns is required`);
+        }
+
+        return { format, rows };
+    }
+
+    async loadCommoditiesBySymbol(symbols) {
+        if (symbols.length === 0) {
+            return new Map();
+        }
+
+        const { data, error } = await this.adminClient()
+            .from('commodities')
+            .select('id, name, symbol, category_id, is_active')
+            .in('symbol', symbols);
+
+        if (error) {
+            throw error;
+        }
+
+        return new Map((data || []).map((commodity) => [commodity.symbol.toUpperCase(), commodity]));
+    }
+
+    // Validates every row with the same rules as manual price and range updates
+    async validateRows(rows, zarToUsdRate) {
+        const symbols = [...new Set(rows
+            .map((row) => String(row.symbol ?? '').trim().toUpperCase())
+            .filter(Boolean))];
+        const commodities = await this.loadCommoditiesBySymbol(symbols);
+        const seen = new Set();
+        const valid = [];
+        const errors = [];
+
+        rows.forEach((row) => {
+            const symbol = String(row.symbol ?? '').trim().toUpperCase();
+            const rowErrors = [];
+            const entry = { row: row.row, symbol };
+
+            if (!symbol) {
+                rowErrors.push('Symbol is required');
+            } else if (!commodities.has(symbol)) {
+                rowErrors.push(`Unknown commodity symbol "${symbol}"`);
+            } else if (seen.has(symbol)) {
+                rowErrors.push(`Duplicate row for ${symbol}`);
+            } else {
+                entry.commodity = commodities.get(symbol);
+            }
+            seen.add(symbol);
+
+            const hasPrice = PRICE_COLUMNS.some((column) => hasValue(row[column]));
+            const hasRange = RANGE_COLUMNS.some((column) => hasValue(row[column]));
+
+            if (!hasPrice && !hasRange) {
+                rowErrors.push('Row has neither a price nor a price range');
+            }
+
+            [...PRICE_COLUMNS, ...RANGE_COLUMNS]
+                .filter((column) => hasValue(row[column]) && !Number.isFinite(Number(row[column])))
+                .forEach((column) => rowErrors.push(`${column} must be a number`));
+
+            if (rowErrors.length === 0 && hasRange) {
+                try {
+                    entry.rangeInput = {
+                        minPriceUsd: hasValue(row.min_price_usd) ? Number(row.min_price_usd) : undefined,
+                        maxPriceUsd: hasValue(row.max_price_usd) ? Number(row.max_price_usd) : undefined,
+                        minPriceZar: hasValue(row.min_price_zar) ? Number(row.min_price_zar) : undefined,
+                        maxPriceZar: hasValue(row.max_price_zar) ? Number(row.max_price_zar) : undefined
+                    };
+                    entry.range = priceService.normalisePriceRange(entry.rangeInput, zarToUsdRate);
+                } catch (error) {
+                    rowErrors.push(error.message);
+                }
+            }
+
+            if (rowErrors.length === 0 && hasPrice) {
+                try {
+                    entry.price = priceService.normalisePrice({
+                        priceUsd: row.price_usd,
+                        priceZar: row.price_zar
+                    }, zarToUsdRate);
+                } catch (error) {
+                    rowErrors.push(error.message);
+                }
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push({
+                    row: row.row,
+                    symbol: symbol || null,
+                    commodity_id: commodities.get(symbol)?.id ?? null,
+                    errors: rowErrors
+                });
+            } else {
+                valid.push(entry);
+            }
+        });
+
+        return { valid, errors };
+    }
+
+    // Prices always wait for a second admin, like manual price edits; ranges only when they move past the approval threshold
+    async planRows(valid, zarToUsdRate) {
+        const changes = [];
+        const ranges = [];
+
+        for (const entry of valid) {
+            const commodityId = entry.commodity.id;
+
+            if (entry.range) {
+                if (await approvalService.needsRangeApproval(commodityId, entry.rangeInput, { zarToUsdRate })) {
+                    changes.push({ entry, commodityId, changeType: 'price_range', payload: approvalService.rangePayload(entry.rangeInput) });
+                } else {
+                    ranges.push({ entry, commodityId });
+                }
+            }
+
+            if (entry.price) {
+                changes.push({ entry, commodityId, changeType: 'price', payload: approvalService.pricePayload(entry.price) });
+            }
+        }
+
+        return { changes, ranges };
+    }
+
+    runItems(valid, ranges, changes, zarToUsdRate) {
+        return valid.map((entry) => {
+            const rangeUpdated = ranges.some((range) => range.entry === entry);
+            const pending = changes.filter((change) => change.entry === entry);
+            const reasons = [
+                rangeUpdated ? 'Price range updated' : null,
+                ...pending.map((change) => `${change.changeType === 'price' ? 'Price' : 'Price range'} awaiting approval`)
+            ].filter(Boolean);
+
+            return {
+                commodity_id: entry.commodity.id,
+                status: pending.length > 0 ? 'pending_approval' : 'updated',
+                exchange_rate: zarToUsdRate,
+                strategy: 'bulk_import',
+                new_price_zar: entry.price?.priceZar ?? null,
+                new_price_usd: entry.price?.priceUsd ?? null,
+                reason: reasons.join('; ')
+            };
+        });
+    }
+
+    async importPrices(file, { triggeredBy = null, dryRun = false } = {}) {
+        let parsed;
+        try {
+            parsed = await this.parseFile(file);
+        } catch (error) {
+            return { success: false, message: `Could not read upload: ${error.message}` };
+        }
+
+        const { format, rows } = parsed;
+
+        if (rows.length === 0) {
+            return { success: false, message: 'The uploaded file has no data rows' };
+        }
+
+        if (rows.length > this.maxRows) {
+            return { success: false, message: `Imports are limited to ${this.maxRows} rows` };
+        }
+
+        const zarToUsdRate = await currencyService.getCurrencyRate('ZAR', 'USD');
+        if (!zarToUsdRate) {
+            throw new Error('Failed to load exchange rate');
+        }
+
+        const { valid, errors } = await this.validateRows(rows, zarToUsdRate);
+        const report = {
+            format,
+            total_rows: rows.length,
+            valid_rows: valid.length,
+            invalid_rows: errors.length,
+            exchange_rate: zarToUsdRate,
+            errors
+        };
+
+        if (dryRun || valid.length === 0) {
+            return { success: true, applied: false, ...report };
+        }
+
+        // Nothing is published here: prices and large range moves become pending changes for a second admin, and only
+        // small range edits are written. Ranges, changes, the run and its items are applied by one database function,
+        // so the import commits or rolls back as a unit
+        return priceService.withPriceUpdateLock(async () => {
+            const { changes, ranges } = await this.planRows(valid, zarToUsdRate);
+            const pendingRows = valid.filter((entry) => changes.some((change) => change.entry === entry)).length;
+
+            const { data, error } = await this.adminClient().rpc('apply_price_import', {
+                p_ranges: ranges.map(({ entry, commodityId }) => ({
+                    commodity_id: commodityId,
+                    min_price_zar: entry.range.minPriceZar,
+                    max_price_zar: entry.range.maxPriceZar,
+                    min_price_usd: entry.range.minPriceUsd,
+                    max_price_usd: entry.range.maxPriceUsd,
+                    updated_by: triggeredBy
+                })),
+                p_changes: changes.map(({ commodityId, changeType, payload }) => ({
+                    commodity_id: commodityId,
+                    change_type: changeType,
+                    payload,
+                    requested_by: triggeredBy
+                })),
+                p_run: {
+                    triggered_by: triggeredBy,
+                    trigger_source: 'bulk_import',
+                    total_commodities: rows.length,
+                    updated_commodities: ranges.length,
+                    status: errors.length > 0 ? 'partial' : 'success',
+                    notes: `Bulk import of ${file.originalname || format}: ${ranges.length} ranges applied, ${changes.length} changes awaiting approval, ${errors.length} rejected`,
+                    exchange_rate: zarToUsdRate
+                },
+                p_items: [
+                    ...this.runItems(valid, ranges, changes, zarToUsdRate),
+                    // Rows with an unknown symbol have no commodity to attach to and only appear in the report
+                    ...errors
+                        .filter((rowError) => rowError.commodity_id)
+                        .map((rowError) => ({
+                            commodity_id: rowError.commodity_id,
+                            status: 'failed',
+                            reason: `Row ${rowError.row}: ${rowError.errors.join('; ')}`
+                        }))
+                ]
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            const runId = data.run_id;
+            changes.forEach((change) => {
+                change.id = (data.changes || []).find((row) => row.commodity_id === change.commodityId && row.change_type === change.changeType)?.id ?? null;
+            });
+
+            return {
+                success: true,
+                applied: true,
+                runId,
+                ranges_applied: ranges.length,
+                pending_rows: pendingRows,
+                pending_changes: changes.map((change) => ({
+                    id: change.id,
+                    commodity_id: change.commodityId,
+                    symbol: change.entry.symbol,
+                    change_type: change.changeType
+                })),
+                ...report
+            };
+        });
+    }
+}
+
+module.exports = new ImportService();
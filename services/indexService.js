@@ -0,0 +1,730 @@
+const supabase = require('../supabase');
+const priceService = require('./priceService');
+const tradingCalendarService = require('./tradingCalendarService');
+
+const INDEX_FIELDS = 'id, code, name, description, base_date, base_value, category_id, weighting, is_active, created_by, created_at, updated_at';
+const WEIGHTINGS = ['equal', 'custom'];
+const LEVEL_FIELDS = 'recorded_date, level_zar, level_usd, constituents_used, run_id, calculated_at';
+const CODE_PATTERN = /^[A-Z0-9_-]{2,20}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// How far back to look for a close to carry forward when a constituent has no price on a date
+const CARRY_FORWARD_DAYS = 30;
+// PostgREST returns at most 1000 rows per request
+const HISTORY_FETCH_SIZE = 1000;
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const roundLevel = (value) => parseFloat(value.toFixed(4));
+
+class IndexService {
+    constructor() {
+        this.defaultBaseValue = 100;
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    validateIndex(input = {}, { partial = false } = {}) {
+        const errors = [];
+        const values = {};
+
+        if (input.code !== undefined) {
+            values.code = String(input.code).trim().toUpperCase();
+            if (!CODE_PATTERN.test(values.code)) {
+                errors.push('code must be 2-20 letters, digits, dashes or underscores');
+            }
+        } else if (!partial) {
+            errors.push('code is required');
+        }
+
+        if (input.name !== undefined) {
+            values.name = String(input.name).trim();
+        }
+        if (!partial && !values.name) {
+            errors.push('name is required');
+        }
+
+        if (input.description !== undefined) {
+            values.description = input.description ? String(input.description) : null;
+        }
+
+        if (input.base_date !== undefined || !partial) {
+            if (!tradingCalendarService.isValidDate(input.base_date)) {
+                errors.push('base_date must be in YYYY-MM-DD format');
+            } else {
+                values.base_date = input.base_date;
+            }
+        }
+
+        if (input.base_value !== undefined) {
+            const baseValue = Number(input.base_value);
+            if (!Number.isFinite(baseValue) || baseValue <= 0) {
+                errors.push('base_value must be a number greater than zero');
+            } else {
+                values.base_value = baseValue;
+            }
+        }
+
+        if (input.weighting !== undefined) {
+            if (!WEIGHTINGS.includes(input.weighting)) {
+                errors.push('weighting must be equal or custom');
+            } else {
+                values.weighting = input.weighting;
+            }
+        }
+
+        if (input.is_active !== undefined) {
+            values.is_active = Boolean(input.is_active);
+        }
+
+        return { errors, values };
+    }
+
+    validateConstituents(input) {
+        const errors = [];
+
+        if (!Array.isArray(input) || input.length === 0) {
+            return { errors: ['constituents must be a non-empty array of { commodity_id, weight }'], values: [] };
+        }
+
+        const seen = new Set();
+        const values = input.map((constituent, index) => {
+            const commodityId = constituent?.commodity_id;
+            const weight = Number(constituent?.weight);
+
+            if (!commodityId) {
+                errors.push(`constituents[${index}].commodity_id is required`);
+            } else if (seen.has(commodityId)) {
+                errors.push(`Commodity ${commodityId} is listed more than once`);
+            }
+            seen.add(commodityId);
+
+            if (!Number.isFinite(weight) || weight <= 0) {
+                errors.push(`constituents[${index}].weight must be a number greater than zero`);
+            }
+
+            return { commodity_id: commodityId, weight };
+        });
+
+        return { errors, values };
+    }
+
+    async listIndices({ activeOnly = false } = {}) {
+        let query = this.adminClient()
+            .from('indices')
+            .select(INDEX_FIELDS)
+            .order('code', { ascending: true });
+
+        if (activeOnly) {
+            query = query.eq('is_active', true);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    // Indices are addressed by id in admin routes and by code in public ones
+    async getIndex(identifier) {
+        const column = UUID_PATTERN.test(String(identifier)) ? 'id' : 'code';
+        const { data, error } = await this.adminClient()
+            .from('indices')
+            .select(`${INDEX_FIELDS}, index_constituents(commodity_id, weight, commodities(name, symbol, is_active))`)
+            .eq(column, column === 'code' ? String(identifier).toUpperCase() : identifier)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            return null;
+        }
+
+        const { index_constituents: storedConstituents = [], ...index } = data;
+        let constituents = storedConstituents || [];
+        if (index.weighting === 'equal') {
+            constituents = index.category_id
+                ? await this.loadCategoryConstituents(index.category_id)
+                : constituents.map((constituent) => ({ ...constituent, weight: 1 }));
+        }
+        const totalWeight = (constituents || []).reduce((total, constituent) => total + Number(constituent.weight), 0);
+
+        return {
+            ...index,
+            constituents: (constituents || []).map((constituent) => ({
+                commodity_id: constituent.commodity_id,
+                commodity_name: constituent.commodities?.name ?? null,
+                symbol: constituent.commodities?.symbol ?? null,
+                weight: Number(constituent.weight),
+                weight_percent: totalWeight > 0
+                    ? parseFloat(((Number(constituent.weight) / totalWeight) * 100).toFixed(2))
+                    : null
+            }))
+        };
+    }
+
+    // Equal-weighted category indices track whatever active commodities the category holds; levels are chain-linked
+    // so membership changes do not move the index
+    async loadCategoryConstituents(categoryId) {
+        const { data, error } = await this.adminClient()
+            .from('commodities')
+            .select('id, name, symbol, is_active')
+            .eq('category_id', categoryId)
+            .eq('is_active', true);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).map((commodity) => ({
+            commodity_id: commodity.id,
+            weight: 1,
+            commodities: commodity
+        }));
+    }
+
+    async createIndex(values, constituents = [], createdBy = null) {
+        const { data, error } = await this.adminClient()
+            .from('indices')
+            .insert({
+                base_value: this.defaultBaseValue,
+                weighting: 'custom',
+                is_active: true,
+                ...values,
+                created_by: createdBy
+            })
+            .select(INDEX_FIELDS)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (constituents.length > 0) {
+            await this.replaceConstituents(data.id, constituents);
+        }
+        await this.rebuild(data.id);
+        return this.getIndex(data.id);
+    }
+
+    async updateIndex(id, values) {
+        const { data, error } = await this.adminClient()
+            .from('indices')
+            .update({
+                ...values,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select(INDEX_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            return null;
+        }
+
+        // A new base date, base value or weighting rebases the whole history
+        if (values.base_date !== undefined || values.base_value !== undefined || values.weighting !== undefined) {
+            await this.rebuild(id);
+        }
+
+        return this.getIndex(id);
+    }
+
+    async replaceConstituents(indexId, constituents) {
+        const client = this.adminClient();
+
+        const { error: deleteError } = await client
+            .from('index_constituents')
+            .delete()
+            .eq('index_id', indexId);
+
+        if (deleteError) {
+            throw deleteError;
+        }
+
+        const { error: insertError } = await client
+            .from('index_constituents')
+            .insert(constituents.map((constituent) => ({
+                index_id: indexId,
+                commodity_id: constituent.commodity_id,
+                weight: constituent.weight
+            })));
+
+        if (insertError) {
+            throw insertError;
+        }
+    }
+
+    async setConstituents(id, constituents) {
+        const index = await this.getIndex(id);
+        if (!index) {
+            return null;
+        }
+
+        await this.replaceConstituents(index.id, constituents);
+
+        // Explicit weights replace equal weighting
+        if (index.weighting !== 'custom') {
+            const { error } = await this.adminClient()
+                .from('indices')
+                .update({ weighting: 'custom', updated_at: new Date().toISOString() })
+                .eq('id', index.id);
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        await this.rebuild(index.id);
+        return this.getIndex(index.id);
+    }
+
+    categoryIndexCode(category, takenCodes) {
+        const slug = String(category.name || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .slice(0, 16);
+        const code = `CAT-${slug || category.id.slice(0, 8).toUpperCase()}`;
+
+        return takenCodes.has(code) ? `CAT-${category.id.slice(0, 8).toUpperCase()}` : code;
+    }
+
+    // Base date of a new category index: the first day any of its commodities has a price
+    async firstCloseDate(categoryId) {
+        const constituents = await this.loadCategoryConstituents(categoryId);
+        if (constituents.length === 0) {
+            return null;
+        }
+
+        const { data, error } = await this.adminClient()
+            .from('price_history')
+            .select('recorded_date')
+            .in('commodity_id', constituents.map((constituent) => constituent.commodity_id))
+            .order('recorded_date', { ascending: true })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data?.[0]?.recorded_date ?? null;
+    }
+
+    // Creates an equal-weighted sub-index for every category that does not have one yet
+    async ensureCategoryIndices() {
+        const { data: categories, error } = await this.adminClient()
+            .from('commodity_categories')
+            .select('id, name, description');
+
+        if (error) {
+            throw error;
+        }
+
+        const indices = await this.listIndices();
+        const covered = new Set(indices.map((index) => index.category_id).filter(Boolean));
+        const takenCodes = new Set(indices.map((index) => index.code));
+        const created = [];
+
+        for (const category of categories || []) {
+            if (covered.has(category.id)) {
+                continue;
+            }
+
+            const baseDate = await this.firstCloseDate(category.id);
+            if (!baseDate) {
+                continue;
+            }
+
+            const code = this.categoryIndexCode(category, takenCodes);
+            takenCodes.add(code);
+
+            created.push(await this.createIndex({
+                code,
+                name: `${category.name} Index`,
+                description: category.description ?? null,
+                base_date: baseDate,
+                category_id: category.id,
+                weighting: 'equal'
+            }));
+            console.log(`Created category index ${code} based on ${baseDate}`);
+        }
+
+        return created;
+    }
+
+    async getCategoryIndexLevels() {
+        const indices = (await this.listIndices({ activeOnly: true })).filter((index) => index.category_id);
+        const levels = new Map();
+
+        await Promise.all(indices.map(async (index) => {
+            levels.set(index.category_id, {
+                code: index.code,
+                name: index.name,
+                weighting: index.weighting,
+                base_date: index.base_date,
+                base_value: Number(index.base_value),
+                latest: await this.getLatestLevel(index.id)
+            });
+        }));
+
+        return levels;
+    }
+
+    async deleteIndex(id) {
+        const { data, error } = await this.adminClient()
+            .from('indices')
+            .delete()
+            .eq('id', id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(data && data.length > 0);
+    }
+
+    async loadCloses(commodityIds, from, to) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += HISTORY_FETCH_SIZE) {
+            let query = this.adminClient()
+                .from('price_history')
+                .select('commodity_id, price_zar, price_usd, recorded_date, recorded_time, is_close')
+                .in('commodity_id', commodityIds)
+                .lte('recorded_date', to)
+                .order('recorded_date', { ascending: true })
+                .order('commodity_id', { ascending: true })
+                .order('recorded_time', { ascending: true })
+                .range(offset, offset + HISTORY_FETCH_SIZE - 1);
+
+            if (from) {
+                query = query.gte('recorded_date', from);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+            if (!data || data.length < HISTORY_FETCH_SIZE) {
+                break;
+            }
+        }
+
+        const rowsByCommodity = new Map(commodityIds.map((commodityId) => [commodityId, []]));
+        rows.forEach((row) => {
+            rowsByCommodity.get(row.commodity_id)?.push(row);
+        });
+
+        return new Map([...rowsByCommodity.entries()]
+            .map(([commodityId, commodityRows]) => [commodityId, priceService.selectDailyCloses(commodityRows)]));
+    }
+
+    // Last close on or before a date from closes sorted by date
+    closeOnOrBefore(closes, date) {
+        let match = null;
+        for (const close of closes) {
+            if (close.recorded_date > date) {
+                break;
+            }
+            match = close;
+        }
+        return match;
+    }
+
+    // Each constituent is measured against its base date close, or against its first close after the base date
+    // when it had no price yet (such as a commodity added to a category later)
+    async loadReferenceCloses(constituents, baseDate) {
+        const commodityIds = constituents.map((constituent) => constituent.commodity_id);
+        const baseCloses = await this.loadCloses(commodityIds, addDays(baseDate, -CARRY_FORWARD_DAYS), baseDate);
+        const references = new Map();
+
+        for (const commodityId of commodityIds) {
+            const close = this.closeOnOrBefore(baseCloses.get(commodityId) || [], baseDate);
+            if (close && Number(close.price_zar) > 0 && Number(close.price_usd) > 0) {
+                references.set(commodityId, close);
+                continue;
+            }
+
+            const { data, error } = await this.adminClient()
+                .from('price_history')
+                .select('recorded_date')
+                .eq('commodity_id', commodityId)
+                .gt('recorded_date', baseDate)
+                .order('recorded_date', { ascending: true })
+                .limit(1);
+
+            if (error) {
+                throw error;
+            }
+
+            const firstDate = data?.[0]?.recorded_date;
+            const firstClose = firstDate
+                ? (await this.loadCloses([commodityId], firstDate, firstDate)).get(commodityId)?.[0]
+                : null;
+            if (firstClose && Number(firstClose.price_zar) > 0 && Number(firstClose.price_usd) > 0) {
+                references.set(commodityId, firstClose);
+            }
+        }
+
+        return references;
+    }
+
+    // Latest stored level before a date, to chain new levels onto
+    async getLevelBefore(indexId, date) {
+        const { data, error } = await this.adminClient()
+            .from('index_levels')
+            .select(LEVEL_FIELDS)
+            .eq('index_id', indexId)
+            .lt('recorded_date', date)
+            .order('recorded_date', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data?.[0] ?? null;
+    }
+
+    // Chain-linked index: each day moves the previous level by the weighted change of the constituents priced on
+    // both days, with each price taken relative to its reference close. While membership is unchanged this equals
+    // the fixed-weight average scaled to the base value; a constituent joining, dropping out or going stale does not
+    // move the level. ZAR and USD levels are computed separately so each reflects its own currency.
+    async computeLevels(index, from, to) {
+        const constituents = index.constituents.filter((constituent) => constituent.weight > 0);
+        if (constituents.length === 0) {
+            return { levels: [], missing_base: [] };
+        }
+
+        const start = from < index.base_date ? index.base_date : from;
+        if (start > to) {
+            return { levels: [], missing_base: [] };
+        }
+
+        // Continue from the last stored level; without one the chain starts again at the base date
+        const seed = start > index.base_date ? await this.getLevelBefore(index.id, start) : null;
+        const chainStart = seed ? seed.recorded_date : index.base_date;
+
+        const references = await this.loadReferenceCloses(constituents, index.base_date);
+        const missingBase = constituents
+            .filter((constituent) => !references.has(constituent.commodity_id))
+            .map((constituent) => constituent.symbol || constituent.commodity_id);
+
+        const commodityIds = constituents.map((constituent) => constituent.commodity_id);
+        const periodCloses = await this.loadCloses(commodityIds, addDays(chainStart, -CARRY_FORWARD_DAYS), to);
+        const baseValue = Number(index.base_value) || this.defaultBaseValue;
+
+        // Prices relative to their reference close for the constituents with a recent close on a date
+        const relativesOn = (date) => {
+            const relatives = new Map();
+            constituents.forEach((constituent) => {
+                const reference = references.get(constituent.commodity_id);
+                const close = reference
+                    ? this.closeOnOrBefore(periodCloses.get(constituent.commodity_id) || [], date)
+                    : null;
+
+                if (!close || close.recorded_date < reference.recorded_date || close.recorded_date < addDays(date, -CARRY_FORWARD_DAYS)) {
+                    return;
+                }
+
+                relatives.set(constituent.commodity_id, {
+                    weight: constituent.weight,
+                    zar: Number(close.price_zar) / Number(reference.price_zar),
+                    usd: Number(close.price_usd) / Number(reference.price_usd)
+                });
+            });
+            return relatives;
+        };
+
+        const weightedSum = (relatives, field, only = null) => [...relatives.entries()]
+            .filter(([commodityId]) => !only || only.has(commodityId))
+            .reduce((total, [, relative]) => total + relative.weight * relative[field], 0);
+
+        let previous = seed
+            ? { level_zar: Number(seed.level_zar), level_usd: Number(seed.level_usd), relatives: relativesOn(seed.recorded_date) }
+            : null;
+
+        const tradingDays = (await tradingCalendarService.getTradingDays(chainStart, to))
+            .filter((day) => day.is_trading_day && (!seed || day.date > seed.recorded_date))
+            .map((day) => day.date);
+
+        const levels = [];
+        tradingDays.forEach((date) => {
+            const relatives = relativesOn(date);
+            if (relatives.size === 0) {
+                return;
+            }
+
+            let levelZar;
+            let levelUsd;
+            if (!previous) {
+                const totalWeight = [...relatives.values()].reduce((total, relative) => total + relative.weight, 0);
+                levelZar = baseValue * (weightedSum(relatives, 'zar') / totalWeight);
+                levelUsd = baseValue * (weightedSum(relatives, 'usd') / totalWeight);
+            } else {
+                const common = new Set([...relatives.keys()].filter((commodityId) => previous.relatives.has(commodityId)));
+                // No constituent priced on both days: the new set links in at the previous level
+                levelZar = common.size > 0
+                    ? previous.level_zar * (weightedSum(relatives, 'zar', common) / weightedSum(previous.relatives, 'zar', common))
+                    : previous.level_zar;
+                levelUsd = common.size > 0
+                    ? previous.level_usd * (weightedSum(relatives, 'usd', common) / weightedSum(previous.relatives, 'usd', common))
+                    : previous.level_usd;
+            }
+
+            previous = { level_zar: levelZar, level_usd: levelUsd, relatives };
+            if (date >= start) {
+                levels.push({
+                    recorded_date: date,
+                    level_zar: roundLevel(levelZar),
+                    level_usd: roundLevel(levelUsd),
+                    constituents_used: relatives.size
+                });
+            }
+        });
+
+        return { levels, missing_base: missingBase };
+    }
+
+    async saveLevels(indexId, levels, runId = null) {
+        if (levels.length === 0) {
+            return;
+        }
+
+        const calculatedAt = new Date().toISOString();
+        const { error } = await this.adminClient()
+            .from('index_levels')
+            .upsert(levels.map((level) => ({
+                index_id: indexId,
+                ...level,
+                run_id: runId,
+                calculated_at: calculatedAt
+            })), { onConflict: 'index_id,recorded_date' });
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    async calculate(identifier, { from, to = from, runId = null } = {}) {
+        const index = await this.getIndex(identifier);
+        if (!index) {
+            return null;
+        }
+
+        const { levels, missing_base: missingBase } = await this.computeLevels(index, from, to);
+        await this.saveLevels(index.id, levels, runId);
+
+        if (missingBase.length > 0) {
+            console.warn(`Index ${index.code}: no price since the base date for ${missingBase.join(', ')}`);
+        }
+
+        return { index_id: index.id, code: index.code, levels, missing_base: missingBase };
+    }
+
+    // Runs after prices are published; one failing index does not stop the others
+    async calculateAll({ from, to = from, runId = null } = {}) {
+        try {
+            await this.ensureCategoryIndices();
+        } catch (error) {
+            console.error('Failed to create category indices:', error);
+        }
+
+        const indices = await this.listIndices({ activeOnly: true });
+        const results = [];
+
+        for (const index of indices) {
+            try {
+                const result = await this.calculate(index.id, { from, to, runId });
+                results.push(result);
+                const latest = result.levels[result.levels.length - 1];
+                if (latest) {
+                    console.log(`Index ${index.code} on ${latest.recorded_date}: ${latest.level_zar} (ZAR), ${latest.level_usd} (USD)`);
+                }
+            } catch (error) {
+                console.error(`Failed to calculate index ${index.code}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    // Recomputes the full history from the base date, dropping levels that can no longer be derived
+    async rebuild(identifier) {
+        const index = await this.getIndex(identifier);
+        if (!index) {
+            return null;
+        }
+
+        const { error } = await this.adminClient()
+            .from('index_levels')
+            .delete()
+            .eq('index_id', index.id);
+
+        if (error) {
+            throw error;
+        }
+
+        return this.calculate(index.id, { from: index.base_date, to: tradingCalendarService.localDate() });
+    }
+
+    async getLevels(indexId, { since = null, limit = null, ascending = true } = {}) {
+        let query = this.adminClient()
+            .from('index_levels')
+            .select(LEVEL_FIELDS)
+            .eq('index_id', indexId)
+            .order('recorded_date', { ascending });
+
+        if (since) {
+            query = query.gte('recorded_date', since);
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getLatestLevel(indexId) {
+        const [latest, previous] = await this.getLevels(indexId, { limit: 2, ascending: false });
+        if (!latest) {
+            return null;
+        }
+
+        return {
+            recorded_date: latest.recorded_date,
+            level_zar: Number(latest.level_zar),
+            level_usd: Number(latest.level_usd),
+            change_percent_zar: previous ? priceService.calculateChangePercentage(Number(previous.level_zar), Number(latest.level_zar)) : null,
+            change_percent_usd: previous ? priceService.calculateChangePercentage(Number(previous.level_usd), Number(latest.level_usd)) : null,
+            calculated_at: latest.calculated_at
+        };
+    }
+}
+
+module.exports = new IndexService();
@@ -0,0 +1,117 @@
+const os = require('os');
+const crypto = require('crypto');
+const supabase = require('../supabase');
+
+class LockService {
+    constructor() {
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.defaultTtlMs = Number(process.env.PRICE_UPDATE_LOCK_TTL_MS || 1000 * 60 * 10);
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    async acquire(name, ttlMs = this.defaultTtlMs, { waitMs = 0, pollMs = 2000 } = {}) {
+        const deadline = Date.now() + waitMs;
+        let lease = await this.tryAcquire(name, ttlMs);
+
+        while (!lease && Date.now() + pollMs <= deadline) {
+            await new Promise((resolve) => setTimeout(resolve, pollMs));
+            lease = await this.tryAcquire(name, ttlMs);
+        }
+
+        return lease;
+    }
+
+    async tryAcquire(name, ttlMs) {
+        const client = this.adminClient();
+        const now = new Date();
+
+        // Every expired lease is cleared first, so a crashed holder cannot block a job forever and
+        // one-off leases left to expire do not pile up
+        const { error: cleanupError } = await client
+            .from('job_locks')
+            .delete()
+            .lt('expires_at', now.toISOString());
+
+        if (cleanupError) {
+            throw cleanupError;
+        }
+
+        const { data, error } = await client
+            .from('job_locks')
+            .insert({
+                name,
+                holder: this.instanceId,
+                acquired_at: now.toISOString(),
+                expires_at: new Date(now.getTime() + ttlMs).toISOString()
+            })
+            .select('name, holder, acquired_at, expires_at')
+            .single();
+
+        if (error) {
+            // Unique violation on the lock name means another instance holds the lease
+            if (error.code === '23505') {
+                return null;
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    // Pushes the lease's expiry out again; false once the lease has expired and been taken by someone else
+    async renew(lease, ttlMs = this.defaultTtlMs) {
+        const { data, error } = await this.adminClient()
+            .from('job_locks')
+            .update({ expires_at: new Date(Date.now() + ttlMs).toISOString() })
+            .eq('name', lease.name)
+            .eq('holder', lease.holder)
+            .select('name');
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(data && data.length > 0);
+    }
+
+    // Renews the lease while long work runs under it; call the returned function to stop
+    keepAlive(lease, ttlMs = this.defaultTtlMs) {
+        const timer = setInterval(() => {
+            this.renew(lease, ttlMs)
+                .then((held) => {
+                    if (!held) {
+                        console.error(`Lost lock ${lease.name} while its work was still running`);
+                    }
+                })
+                .catch((error) => console.error(`Failed to renew lock ${lease.name}:`, error));
+        }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    async release(lease) {
+        if (!lease) {
+            return;
+        }
+
+        try {
+            const { error } = await this.adminClient()
+                .from('job_locks')
+                .delete()
+                .eq('name', lease.name)
+                .eq('holder', lease.holder);
+
+            if (error) {
+                throw error;
+            }
+        } catch (error) {
+            console.error(`Failed to release lock ${lease.name}:`, error);
+        }
+    }
+}
+
+module.exports = new LockService();
@@ -1,15 +1,302 @@
+const crypto = require('crypto');
 const supabase = require('../supabase');
 const currencyService = require('./currencyService');
+const priceStrategies = require('./priceStrategies');
+const lockService = require('./lockService');
+const tradingCalendarService = require('./tradingCalendarService');
+const anomalyService = require('./anomalyService');
+
+const SAME_DAY_POLICIES = ['replace', 'reject', 'revision'];
+const FX_CHECK_ACTIONS = ['pause', 'flag'];
+const PRICE_UPDATE_LOCK = 'price_update';
+const PERIOD_DAYS = {
+    '7d': 7,
+    '30d': 30,
+    '90d': 90,
+    '1y': 365
+};
+
+const OHLC_INTERVALS = ['daily', 'weekly', 'monthly'];
+const HISTORY_AGGREGATES = ['avg', 'close', 'last'];
+const HISTORY_DEFAULT_LIMIT = 100;
+const HISTORY_MAX_LIMIT = 1000;
+const HISTORY_FETCH_SIZE = 1000;
+const PRICE_ROW_FIELDS = 'price_zar, price_usd, recorded_date, recorded_time, is_close';
+// Rows written before intraday revisions carry no is_close flag and are closes
+const CLOSE_ROW_FILTER = 'is_close.is.null,is_close.eq.true';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Monday of the ISO week, or the first of the month, that a date falls in
+const bucketStart = (dateString, interval) => {
+    if (interval === 'monthly') {
+        return `${dateString.slice(0, 7)}-01`;
+    }
+    if (interval === 'weekly') {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().split('T')[0];
+    }
+    return dateString;
+};
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const bucketEnd = (dateString, interval) => {
+    if (interval === 'monthly') {
+        const date = new Date(`${bucketStart(dateString, interval)}T00:00:00Z`);
+        date.setUTCMonth(date.getUTCMonth() + 1, 0);
+        return date.toISOString().split('T')[0];
+    }
+    return interval === 'weekly' ? addDays(bucketStart(dateString, interval), 6) : dateString;
+};
+
+const parseNumber = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : undefined;
+};
 
 class PriceService {
     constructor() {
         this.adminClient = () => supabase.getAdminClient();
+        this.previewTtlMs = Number(process.env.PRICE_PREVIEW_TTL_MINUTES || 60) * 60 * 1000;
+        this.sameDayPolicy = SAME_DAY_POLICIES.includes(process.env.PRICE_SAME_DAY_POLICY)
+            ? process.env.PRICE_SAME_DAY_POLICY
+            : 'replace';
+        // What a scheduled or manual update does when the exchange rate fails its sanity checks
+        this.fxCheckAction = FX_CHECK_ACTIONS.includes(process.env.FX_CHECK_ACTION)
+            ? process.env.FX_CHECK_ACTION
+            : 'pause';
+        this.publishListeners = [];
+    }
+
+    // Listeners run after prices are written, with the range of dates whose closes changed
+    onPricesPublished(listener) {
+        this.publishListeners.push(listener);
+    }
+
+    async notifyPricesPublished(publication) {
+        for (const listener of this.publishListeners) {
+            try {
+                await listener(publication);
+            } catch (error) {
+                console.error('Price publication listener failed:', error);
+            }
+        }
+    }
+
+    // Prices are dated in the trading calendar's timezone, so the day a run is checked against is the day it records
+    todayDate(date = new Date()) {
+        return tradingCalendarService.localDate(date);
+    }
+
+    async getHistoryForDate(commodityId, recordedDate) {
+        const { data, error } = await this.adminClient()
+            .from('price_history')
+            .select('id, is_close, recorded_time')
+            .eq('commodity_id', commodityId)
+            .eq('recorded_date', recordedDate)
+            .order('recorded_time', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    // Writes a daily close honouring the same-day policy:
+    // replace overwrites the day's row, revision keeps earlier rows as non-closing intraday revisions.
+    // Every published price is also kept as an intraday tick for OHLC bars, whatever the policy.
+    async writeDailyClose(point, existingRows = [], policy = this.sameDayPolicy, { recordTick = true } = {}) {
+        const action = await this.writeCloseRow(point, existingRows, policy);
+
+        if (recordTick) {
+            await this.recordPriceTick(point);
+        }
+
+        return action;
+    }
+
+    // A missing tick only thins out the day's OHLC bar, so it does not fail the publication
+    async recordPriceTick(point) {
+        const { error } = await this.adminClient()
+            .from('price_ticks')
+            .insert({
+                commodity_id: point.commodity_id,
+                recorded_date: point.recorded_date,
+                recorded_time: new Date().toISOString(),
+                price_zar: point.price_zar,
+                price_usd: point.price_usd,
+                exchange_rate: point.exchange_rate
+            });
+
+        if (error) {
+            console.error(`Failed to record price tick for ${point.commodity_id} on ${point.recorded_date}:`, error);
+        }
+    }
+
+    async writeCloseRow(point, existingRows, policy) {
+        const client = this.adminClient();
+
+        if (existingRows.length > 0 && policy === 'replace') {
+            const [latest, ...duplicates] = existingRows;
+
+            const { error: updateError } = await client
+                .from('price_history')
+                .update({
+                    price_zar: point.price_zar,
+                    price_usd: point.price_usd,
+                    exchange_rate: point.exchange_rate,
+                    recorded_time: new Date().toISOString(),
+                    is_close: true
+                })
+                .eq('id', latest.id);
+
+            if (updateError) {
+                throw updateError;
+            }
+
+            if (duplicates.length > 0) {
+                const { error: deleteError } = await client
+                    .from('price_history')
+                    .delete()
+                    .in('id', duplicates.map((row) => row.id));
+
+                if (deleteError) {
+                    throw deleteError;
+                }
+            }
+
+            return 'replaced';
+        }
+
+        if (existingRows.length > 0) {
+            const { error: demoteError } = await client
+                .from('price_history')
+                .update({ is_close: false })
+                .in('id', existingRows.map((row) => row.id));
+
+            if (demoteError) {
+                throw demoteError;
+            }
+        }
+
+        const { error: insertError } = await client
+            .from('price_history')
+            .insert({
+                ...point,
+                is_close: true
+            });
+
+        if (insertError) {
+            throw insertError;
+        }
+
+        return existingRows.length > 0 ? 'revised' : 'inserted';
+    }
+
+    // Collapses history rows to one canonical close per recorded_date, oldest date first
+    async getRecentCloses(commodityId, days) {
+        const since = new Date();
+        since.setUTCDate(since.getUTCDate() - days);
+
+        const rows = await this.loadPriceRows(commodityId, { since: since.toISOString().split('T')[0] });
+        return this.selectDailyCloses(rows);
+    }
+
+    // Checks a price against the anomaly rule for its commodity; returns the breach or null
+    async detectAnomaly({ commodityId, categoryId = null, previousPriceZar, newPriceZar }, rules) {
+        const rule = anomalyService.resolveRule(rules, commodityId, categoryId);
+        if (!anomalyService.isEnabled(rule) || !previousPriceZar) {
+            return null;
+        }
+
+        const closes = rule.max_z_score ? await this.getRecentCloses(commodityId, rule.lookback_days) : [];
+        return anomalyService.evaluate(rule, { previousPriceZar, newPriceZar, closes });
     }
 
-    generateRandomPrice(minPrice, maxPrice) {
-        const range = maxPrice - minPrice;
-        const randomFactor = Math.random();
-        return parseFloat((minPrice + range * randomFactor).toFixed(4));
+    // Only ZAR and USD prices are stored; every other supported currency is converted from ZAR
+    isStoredCurrency(currency) {
+        return ['zar', 'usd'].includes(currency);
+    }
+
+    // Field holding a converted price, or null when the currency is stored as-is
+    convertedPriceField(currency) {
+        return currency === 'both' || this.isStoredCurrency(currency) ? null : `price_${currency}`;
+    }
+
+    parseCurrency(value, { fallback = 'both', allowBoth = true } = {}) {
+        const currency = String(value || fallback).toLowerCase();
+
+        if ((allowBoth && currency === 'both') || currencyService.isSupportedCurrency(currency)) {
+            return { currency };
+        }
+
+        const codes = currencyService.getSupportedCurrencies().map((supported) => supported.code.toLowerCase());
+        return { error: `currency must be ${allowBoth ? 'both or ' : ''}one of ${codes.join(', ')}` };
+    }
+
+    // Adds price_<currency> to each record from its ZAR price at the rate in effect on the record's own date
+    async convertPrices(records, currency, { dateOf = (record) => record.recorded_date } = {}) {
+        const field = this.convertedPriceField(currency);
+        if (records.length === 0 || !field) {
+            return records;
+        }
+
+        const rates = await currencyService.getDailyRates('ZAR', currency, records.map(dateOf));
+
+        return records.map((record) => {
+            const rate = rates.get(dateOf(record));
+            return {
+                ...record,
+                [field]: record.price_zar === null || record.price_zar === undefined || !rate
+                    ? null
+                    : parseFloat((Number(record.price_zar) * rate).toFixed(4))
+            };
+        });
+    }
+
+    // Current prices convert at the rate in effect when they were last updated
+    async convertCurrentPrices(prices, currency) {
+        return this.convertPrices(prices, currency, {
+            dateOf: (price) => String(price.last_updated).split('T')[0]
+        });
+    }
+
+    // Keeps only the requested currency's price; 'both' keeps the stored ZAR and USD prices
+    selectCurrencyPrices(record, currency = 'both') {
+        if (currency === 'both') {
+            return record;
+        }
+
+        return {
+            ...record,
+            price_zar: currency === 'zar' ? record.price_zar : undefined,
+            price_usd: currency === 'usd' ? record.price_usd : undefined
+        };
+    }
+
+    selectDailyCloses(rows = []) {
+        const closes = new Map();
+
+        rows
+            .filter((row) => row.is_close !== false)
+            .forEach((row) => {
+                const existing = closes.get(row.recorded_date);
+                if (!existing || String(row.recorded_time ?? '') >= String(existing.recorded_time ?? '')) {
+                    closes.set(row.recorded_date, row);
+                }
+            });
+
+        return [...closes.values()].sort((a, b) => (a.recorded_date < b.recorded_date ? -1 : a.recorded_date > b.recorded_date ? 1 : 0));
     }
 
     calculateChangePercentage(previousPrice, newPrice) {
@@ -24,12 +311,60 @@ class PriceService {
         return parseFloat(change.toFixed(2));
     }
 
+    // Looks commodities up by id or symbol (symbols case-insensitively), keeping the requested order
+    async resolveCommodities(identifiers = []) {
+        const ids = identifiers.filter((identifier) => UUID_PATTERN.test(identifier));
+        const symbols = identifiers
+            .filter((identifier) => !UUID_PATTERN.test(identifier))
+            .map((identifier) => identifier.toUpperCase());
+        const client = this.adminClient();
+        const found = [];
+
+        if (ids.length > 0) {
+            const { data, error } = await client
+                .from('commodities')
+                .select('id, name, symbol, unit, category_id, is_active')
+                .in('id', ids);
+
+            if (error) {
+                throw error;
+            }
+            found.push(...(data || []));
+        }
+
+        if (symbols.length > 0) {
+            const { data, error } = await client
+                .from('commodities')
+                .select('id, name, symbol, unit, category_id, is_active')
+                .in('symbol', symbols);
+
+            if (error) {
+                throw error;
+            }
+            found.push(...(data || []));
+        }
+
+        const commodities = [];
+        const missing = [];
+        identifiers.forEach((identifier) => {
+            const commodity = found.find((candidate) => candidate.id === identifier
+                || String(candidate.symbol).toUpperCase() === identifier.toUpperCase());
+            if (commodity) {
+                commodities.push(commodity);
+            } else {
+                missing.push(identifier);
+            }
+        });
+
+        return { commodities, missing };
+    }
+
     async getCurrentPriceRecord(commodityId) {
         try {
             const client = this.adminClient();
             const { data, error } = await client
                 .from('current_prices')
-                .select('price_zar, last_updated')
+                .select('price_zar, price_usd, last_updated')
                 .eq('commodity_id', commodityId)
                 .maybeSingle();
 
@@ -44,221 +379,891 @@ class PriceService {
         }
     }
 
-    async updateDailyPrices({ triggerSource = 'manual', triggeredBy = null } = {}) {
-        try {
-            const client = this.adminClient();
-            console.log('Starting daily price update (Supabase)...');
+    describeCommodityError(range, error) {
+        return {
+            commodityId: range.commodity_id,
+            symbol: range.symbol ?? range.commodities?.symbol ?? null,
+            message: error?.message ?? String(error),
+            code: error?.code ?? null,
+            details: error?.details ?? null,
+            hint: error?.hint ?? null
+        };
+    }
 
-            const zarToUsdRate = await currencyService.getCurrencyRate('ZAR', 'USD');
-            if (!zarToUsdRate) {
-                throw new Error('Failed to load exchange rate');
-            }
+    // A failed exchange rate check travels with the plan so the run that publishes it records the flag
+    async buildPriceProposals({ commodityIds = null, categoryId = null, checkedRate = null, recordedDate = this.todayDate() } = {}) {
+        const client = this.adminClient();
+
+        const { rate: zarToUsdRate, check: fxCheck, resolved } = checkedRate ?? await currencyService.getCheckedRate('ZAR', 'USD');
+        if (!zarToUsdRate) {
+            throw new Error('Failed to load exchange rate');
+        }
+
+        const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
+
+        let rangeQuery = client
+            .from('price_ranges')
+            .select(`
+                commodity_id,
+                min_price_zar,
+                max_price_zar,
+                min_price_usd,
+                max_price_usd,
+                price_strategy,
+                strategy_params,
+                is_active,
+                commodities!inner(id, name, symbol, category_id, is_active)
+            `)
+            .eq('is_active', true);
+
+        if (Array.isArray(commodityIds)) {
+            rangeQuery = rangeQuery.in('commodity_id', commodityIds);
+        }
+
+        if (categoryId) {
+            rangeQuery = rangeQuery.eq('commodities.category_id', categoryId);
+        }
+
+        const { data: ranges, error: rangeError } = await rangeQuery;
 
-            const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
-            const parseNumber = (value) => {
-                if (value === null || value === undefined) {
-                    return undefined;
+        if (rangeError) {
+            throw rangeError;
+        }
+
+        const activeRanges = (ranges || []).filter((range) => range.commodities?.is_active);
+
+        const proposals = [];
+        const skipped = [];
+        const failures = [];
+        const items = [];
+
+        await Promise.all(activeRanges.map(async (range) => {
+            let currentRecord = null;
+            let generated = null;
+
+            try {
+                const commodityId = range.commodity_id;
+                const minUsdRaw = parseNumber(range.min_price_usd);
+                const maxUsdRaw = parseNumber(range.max_price_usd);
+                const minZarRaw = parseNumber(range.min_price_zar);
+                const maxZarRaw = parseNumber(range.max_price_zar);
+
+                let minUsd;
+                let maxUsd;
+
+                if (minUsdRaw !== undefined && maxUsdRaw !== undefined) {
+                    minUsd = minUsdRaw;
+                    maxUsd = maxUsdRaw;
+                } else if (minZarRaw !== undefined && maxZarRaw !== undefined) {
+                    minUsd = minZarRaw * zarToUsdRate;
+                    maxUsd = maxZarRaw * zarToUsdRate;
+                } else {
+                    skipped.push({
+                        commodityId,
+                        reason: 'Incomplete price range values',
+                        minUsd: minUsdRaw,
+                        maxUsd: maxUsdRaw,
+                        minZar: minZarRaw,
+                        maxZar: maxZarRaw
+                    });
+                    items.push({
+                        commodity_id: commodityId,
+                        status: 'skipped',
+                        exchange_rate: zarToUsdRate,
+                        strategy: range.price_strategy ?? null,
+                        reason: 'Incomplete price range values'
+                    });
+                    console.warn(`Skipping commodity ${commodityId} due to incomplete price range`);
+                    return;
                 }
-                const numeric = Number(value);
-                return Number.isFinite(numeric) ? numeric : undefined;
-            };
 
-            const { data: ranges, error: rangeError } = await client
-                .from('price_ranges')
-                .select(`
-                    commodity_id,
-                    min_price_zar,
-                    max_price_zar,
-                    min_price_usd,
-                    max_price_usd,
-                    is_active,
-                    commodities!inner(id, name, symbol, is_active)
-                `)
-                .eq('is_active', true);
-
-            if (rangeError) {
-                throw rangeError;
-            }
-
-            const activeRanges = (ranges || []).filter((range) => range.commodities?.is_active);
-
-            let updatedCount = 0;
-            const skipped = [];
-            const failures = [];
-
-            await Promise.all(activeRanges.map(async (range) => {
-                try {
-                    const commodityId = range.commodity_id;
-                    const minUsdRaw = parseNumber(range.min_price_usd);
-                    const maxUsdRaw = parseNumber(range.max_price_usd);
-                    const minZarRaw = parseNumber(range.min_price_zar);
-                    const maxZarRaw = parseNumber(range.max_price_zar);
-
-                    let minUsd;
-                    let maxUsd;
-
-                    if (minUsdRaw !== undefined && maxUsdRaw !== undefined) {
-                        minUsd = minUsdRaw;
-                        maxUsd = maxUsdRaw;
-                    } else if (minZarRaw !== undefined && maxZarRaw !== undefined) {
-                        minUsd = minZarRaw * zarToUsdRate;
-                        maxUsd = maxZarRaw * zarToUsdRate;
-                    } else {
-                        skipped.push({
-                            commodityId,
-                            reason: 'Incomplete price range values',
-                            minUsd: minUsdRaw,
-                            maxUsd: maxUsdRaw,
-                            minZar: minZarRaw,
-                            maxZar: maxZarRaw
+                if (this.sameDayPolicy === 'reject') {
+                    const existingRows = await this.getHistoryForDate(commodityId, recordedDate);
+                    if (existingRows.length > 0) {
+                        const reason = `Price already recorded for ${recordedDate}`;
+                        skipped.push({ commodityId, reason });
+                        items.push({
+                            commodity_id: commodityId,
+                            status: 'skipped',
+                            exchange_rate: zarToUsdRate,
+                            strategy: range.price_strategy ?? null,
+                            reason
                         });
-                        console.warn(`Skipping commodity ${commodityId} due to incomplete price range`);
                         return;
                     }
+                }
 
-                    const newPriceUsd = this.generateRandomPrice(minUsd, maxUsd);
-                    const newPriceZar = parseFloat((newPriceUsd * usdToZarRate).toFixed(4));
-                    const normalizedPriceUsd = parseFloat(newPriceUsd.toFixed(4));
-                    const currentRecord = await this.getCurrentPriceRecord(commodityId);
-                    const previousPriceZar = currentRecord?.price_zar ? Number(currentRecord.price_zar) : null;
-                    const change24hValue = this.calculateChangePercentage(previousPriceZar, newPriceZar);
+                currentRecord = await this.getCurrentPriceRecord(commodityId);
+                generated = priceStrategies.generate(range.price_strategy, {
+                    minPrice: minUsd,
+                    maxPrice: maxUsd,
+                    previousPrice: parseNumber(currentRecord?.price_usd) ?? null,
+                    params: range.strategy_params
+                });
 
-                    const { error: currentError } = await client
-                        .from('current_prices')
-                        .upsert({
-                            commodity_id: commodityId,
-                            price_zar: newPriceZar,
-                            price_usd: normalizedPriceUsd,
-                            exchange_rate: zarToUsdRate,
-                            change_24h_percent: change24hValue,
-                            last_updated: new Date().toISOString()
-                        }, { onConflict: 'commodity_id' });
+                const newPriceUsd = parseFloat(generated.price.toFixed(4));
+                const newPriceZar = parseFloat((newPriceUsd * usdToZarRate).toFixed(4));
+                const previousPriceZar = currentRecord?.price_zar ? Number(currentRecord.price_zar) : null;
+                const previousClose = await this.getPreviousClose(commodityId, recordedDate);
 
-                    if (currentError) {
-                        throw currentError;
-                    }
+                proposals.push({
+                    commodity_id: commodityId,
+                    category_id: range.commodities.category_id ?? null,
+                    name: range.commodities.name,
+                    symbol: range.commodities.symbol,
+                    old_price_zar: previousPriceZar,
+                    old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                    new_price_zar: newPriceZar,
+                    new_price_usd: newPriceUsd,
+                    change_24h_percent: this.calculateChangePercentage(previousClose ? Number(previousClose.price_zar) : null, newPriceZar),
+                    strategy: generated.strategy,
+                    strategy_params: generated.params
+                });
+            } catch (error) {
+                const friendlyError = this.describeCommodityError(range, error);
+
+                console.error(`Error generating price for commodity ${range.commodity_id}:`, friendlyError, error);
+                failures.push(friendlyError);
+                items.push({
+                    commodity_id: range.commodity_id,
+                    status: 'failed',
+                    old_price_zar: parseNumber(currentRecord?.price_zar) ?? null,
+                    old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                    exchange_rate: zarToUsdRate,
+                    strategy: generated?.strategy ?? range.price_strategy ?? null,
+                    strategy_params: generated?.params ?? null,
+                    reason: friendlyError.message,
+                    error_code: friendlyError.code
+                });
+            }
+        }));
+
+        return {
+            recorded_date: recordedDate,
+            exchange_rate: zarToUsdRate,
+            exchange_rate_source: resolved?.source ?? null,
+            fx_check: fxCheck?.passed === false ? { ...fxCheck, action: 'flag' } : null,
+            total: activeRanges.length,
+            proposals,
+            skipped,
+            failures,
+            items
+        };
+    }
 
-                    const { error: historyError } = await client
-                        .from('price_history')
-                        .insert({
-                            commodity_id: commodityId,
-                            price_zar: newPriceZar,
-                            price_usd: normalizedPriceUsd,
-                            exchange_rate: zarToUsdRate,
-                            recorded_date: new Date().toISOString().split('T')[0]
-                        });
+    // Runs work that writes prices while holding the shared price update lease
+    async withPriceUpdateLock(work, { waitMs = 0 } = {}) {
+        const lease = await lockService.acquire(PRICE_UPDATE_LOCK, undefined, { waitMs });
+        if (!lease) {
+            console.warn('Another instance is already running a price update, skipping');
+            return {
+                success: false,
+                locked: true,
+                message: 'Another price update is already in progress'
+            };
+        }
+
+        // Backfills and large runs can outlast the lease, so it is renewed until the work finishes
+        const stopRenewing = lockService.keepAlive(lease);
+        try {
+            return await work();
+        } finally {
+            stopRenewing();
+            await lockService.release(lease);
+        }
+    }
+
+    async writePriceProposals(plan, {
+        triggerSource = 'manual',
+        triggeredBy = null,
+        retryOfRunId = null,
+        notes = null,
+        recordedDate = plan.recorded_date ?? this.todayDate()
+    } = {}) {
+        const client = this.adminClient();
+        const zarToUsdRate = plan.exchange_rate;
+        const skipped = [...(plan.skipped || [])];
+        const failures = [...(plan.failures || [])];
+        const items = [...(plan.items || [])];
+        const quarantined = [];
+        const anomalyRules = await anomalyService.listRules({ activeOnly: true });
+        let updatedCount = 0;
+
+        await Promise.all(plan.proposals.map(async (proposal) => {
+            let currentRecord = null;
 
-                    if (historyError) {
-                        throw historyError;
+            try {
+                const commodityId = proposal.commodity_id;
+                const existingRows = await this.getHistoryForDate(commodityId, recordedDate);
+
+                if (existingRows.length > 0 && this.sameDayPolicy === 'reject') {
+                    const reason = `Price already recorded for ${recordedDate}`;
+                    skipped.push({ commodityId, reason });
+                    items.push({
+                        commodity_id: commodityId,
+                        status: 'skipped',
+                        exchange_rate: zarToUsdRate,
+                        strategy: proposal.strategy,
+                        strategy_params: proposal.strategy_params,
+                        reason
+                    });
+                    return;
+                }
+
+                currentRecord = await this.getCurrentPriceRecord(commodityId);
+                const previousPriceZar = currentRecord?.price_zar ? Number(currentRecord.price_zar) : null;
+                // The 24h change is against the previous day's close, not an earlier update on the same day
+                const previousClose = await this.getPreviousClose(commodityId, recordedDate);
+                const change24hValue = this.calculateChangePercentage(previousClose ? Number(previousClose.price_zar) : null, proposal.new_price_zar);
+
+                const breach = await this.detectAnomaly({
+                    commodityId,
+                    categoryId: proposal.category_id,
+                    previousPriceZar,
+                    newPriceZar: proposal.new_price_zar
+                }, anomalyRules);
+
+                if (breach) {
+                    const entry = await anomalyService.quarantine({
+                        commodity_id: commodityId,
+                        trigger_source: triggerSource,
+                        price_usd: proposal.new_price_usd,
+                        price_zar: proposal.new_price_zar,
+                        exchange_rate: zarToUsdRate,
+                        previous_price_zar: previousPriceZar,
+                        requested_by: triggeredBy,
+                        ...breach
+                    });
+                    quarantined.push({ id: entry.id, commodityId, reason: breach.reason });
+                    items.push({
+                        commodity_id: commodityId,
+                        status: 'quarantined',
+                        old_price_zar: previousPriceZar,
+                        old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                        new_price_zar: proposal.new_price_zar,
+                        new_price_usd: proposal.new_price_usd,
+                        exchange_rate: zarToUsdRate,
+                        strategy: proposal.strategy,
+                        strategy_params: proposal.strategy_params,
+                        reason: breach.reason
+                    });
+                    return;
+                }
+
+                const { error: currentError } = await client
+                    .from('current_prices')
+                    .upsert({
+                        commodity_id: commodityId,
+                        price_zar: proposal.new_price_zar,
+                        price_usd: proposal.new_price_usd,
+                        exchange_rate: zarToUsdRate,
+                        change_24h_percent: change24hValue,
+                        last_updated: new Date().toISOString()
+                    }, { onConflict: 'commodity_id' });
+
+                if (currentError) {
+                    throw currentError;
+                }
+
+                const historyAction = await this.writeDailyClose({
+                    commodity_id: commodityId,
+                    price_zar: proposal.new_price_zar,
+                    price_usd: proposal.new_price_usd,
+                    exchange_rate: zarToUsdRate,
+                    recorded_date: recordedDate
+                }, existingRows);
+
+                items.push({
+                    commodity_id: commodityId,
+                    status: 'updated',
+                    old_price_zar: previousPriceZar,
+                    old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                    new_price_zar: proposal.new_price_zar,
+                    new_price_usd: proposal.new_price_usd,
+                    exchange_rate: zarToUsdRate,
+                    strategy: proposal.strategy,
+                    strategy_params: proposal.strategy_params,
+                    reason: historyAction === 'inserted' ? null : `Existing ${recordedDate} close ${historyAction}`
+                });
+                console.log(`Updated ${proposal.symbol}: R${proposal.new_price_zar} (${proposal.strategy})`);
+                updatedCount += 1;
+            } catch (error) {
+                const friendlyError = this.describeCommodityError(proposal, error);
+
+                console.error(`Error updating commodity ${proposal.commodity_id}:`, friendlyError, error);
+                failures.push(friendlyError);
+                items.push({
+                    commodity_id: proposal.commodity_id,
+                    status: 'failed',
+                    old_price_zar: parseNumber(currentRecord?.price_zar) ?? null,
+                    old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                    new_price_zar: proposal.new_price_zar,
+                    new_price_usd: proposal.new_price_usd,
+                    exchange_rate: zarToUsdRate,
+                    strategy: proposal.strategy,
+                    strategy_params: proposal.strategy_params,
+                    reason: friendlyError.message,
+                    error_code: friendlyError.code
+                });
+            }
+        }));
+
+        const runId = await this.recordPriceUpdateRun({
+            triggered_by: triggeredBy,
+            trigger_source: triggerSource,
+            retry_of_run_id: retryOfRunId,
+            total_commodities: plan.total,
+            updated_commodities: updatedCount,
+            status: updatedCount > 0 ? 'success' : 'no_updates',
+            notes,
+            // The rate is kept on the run rather than in exchange_rates, where a flagged or fallback rate would pass for a known one
+            exchange_rate: zarToUsdRate,
+            exchange_rate_source: plan.exchange_rate_source ?? null,
+            fx_check: plan.fx_check ?? null
+        }, items);
+
+        await anomalyService.linkRun(quarantined.map((entry) => entry.id), runId);
+
+        if (updatedCount > 0) {
+            await this.notifyPricesPublished({ from: recordedDate, to: recordedDate, runId, source: triggerSource });
+        }
+
+        console.log(`Daily price update complete (${updatedCount}/${plan.total} commodities).`);
+        if (plan.fx_check) {
+            console.warn(`Prices published on a flagged exchange rate (${plan.fx_check.rule}): ${plan.fx_check.message}`);
+        }
+        if (skipped.length > 0) {
+            console.warn('Skipped commodities:', skipped);
+        }
+        if (quarantined.length > 0) {
+            console.warn('Quarantined commodities:', quarantined);
+        }
+        if (failures.length > 0) {
+            console.error('Failed commodities:', failures);
+        }
+
+        return {
+            success: true,
+            runId,
+            updated: updatedCount,
+            total: plan.total,
+            fxCheck: plan.fx_check ?? null,
+            skipped,
+            failures,
+            quarantined
+        };
+    }
+
+    // A run on a non-trading day is recorded as skipped; null when the day is open for trading
+    async skipNonTradingDay(recordedDate, run) {
+        const tradingDay = await tradingCalendarService.checkDate(recordedDate);
+        if (tradingDay.is_trading_day) {
+            return null;
+        }
+
+        console.log(`Skipping price update: ${tradingDay.date} is not a trading day (${tradingDay.reason})`);
+        const runId = await this.recordPriceUpdateRun({
+            ...run,
+            total_commodities: 0,
+            updated_commodities: 0,
+            status: 'skipped_holiday',
+            notes: `${tradingDay.date}: ${tradingDay.reason}`
+        });
+
+        return {
+            success: true,
+            skippedHoliday: true,
+            reason: tradingDay.reason,
+            date: tradingDay.date,
+            runId,
+            updated: 0,
+            total: 0,
+            skipped: [],
+            failures: [],
+            quarantined: []
+        };
+    }
+
+    // Prices are not built on a rate that failed its checks unless the update is set to flag, or an admin accepts it;
+    // with no rate at all there is nothing to accept. Null when the run may go ahead
+    async pauseOnFxCheck({ rate, check }, { acceptFxCheck = false, run }) {
+        if (check.passed || (rate && (this.fxCheckAction === 'flag' || acceptFxCheck))) {
+            return null;
+        }
+
+        console.warn(`Pausing price update: exchange rate check failed (${check.rule}): ${check.message}`);
+        const fxCheck = { ...check, action: 'pause' };
+        const runId = await this.recordPriceUpdateRun({
+            ...run,
+            total_commodities: 0,
+            updated_commodities: 0,
+            status: 'paused_fx',
+            notes: `Exchange rate check failed (${check.rule}): ${check.message}`,
+            fx_check: fxCheck
+        });
+
+        return {
+            success: false,
+            paused: true,
+            message: `Price update paused: ${check.message}`,
+            fxCheck,
+            runId,
+            updated: 0,
+            total: 0,
+            skipped: [],
+            failures: [],
+            quarantined: []
+        };
+    }
+
+    // Single price and range writes hold back on a rate that failed its checks the same way a run pauses;
+    // a flagged check comes back with action 'flag' and a refused one with action 'pause'
+    async checkedWriteRate({ acceptFxCheck = false } = {}) {
+        const { rate, check } = await currencyService.getCheckedRate('ZAR', 'USD');
+        if (check.passed) {
+            return { rate, fxCheck: null };
+        }
+
+        const flagged = Boolean(rate) && (this.fxCheckAction === 'flag' || acceptFxCheck);
+        console.warn(`Exchange rate check failed (${check.rule}) for a price write: ${check.message}`);
+        return { rate, fxCheck: { ...check, action: flagged ? 'flag' : 'pause' } };
+    }
+
+    async updateDailyPrices({
+        triggerSource = 'manual',
+        triggeredBy = null,
+        commodityIds = null,
+        categoryId = null,
+        retryOfRunId = null,
+        notes = null,
+        lockWaitMs = 0,
+        ignoreCalendar = false,
+        acceptFxCheck = false
+    } = {}) {
+        try {
+            console.log('Starting daily price update (Supabase)...');
+
+            // Skipped and paused runs are recorded under the lock too, so concurrent instances record one outcome
+            return await this.withPriceUpdateLock(async () => {
+                const recordedDate = this.todayDate();
+                const run = {
+                    triggered_by: triggeredBy,
+                    trigger_source: triggerSource,
+                    retry_of_run_id: retryOfRunId
+                };
+
+                if (!ignoreCalendar) {
+                    const skipped = await this.skipNonTradingDay(recordedDate, run);
+                    if (skipped) {
+                        return skipped;
                     }
+                }
 
-                    console.log(`Updated ${range.commodities.symbol}: R${newPriceZar}`);
-                    updatedCount += 1;
-                } catch (error) {
-                    const friendlyError = {
-                        commodityId: range.commodity_id,
-                        symbol: range.commodities?.symbol ?? null,
-                        message: error?.message ?? String(error),
-                        code: error?.code ?? null,
-                        details: error?.details ?? null,
-                        hint: error?.hint ?? null
-                    };
-
-                    console.error(`Error updating commodity ${range.commodity_id}:`, friendlyError, error);
-                    failures.push(friendlyError);
+                const checkedRate = await currencyService.getCheckedRate('ZAR', 'USD');
+                const paused = await this.pauseOnFxCheck(checkedRate, { acceptFxCheck, run });
+                if (paused) {
+                    return paused;
                 }
-            }));
 
-            const { error: rateError } = await client
-                .from('exchange_rates')
+                const plan = await this.buildPriceProposals({ commodityIds, categoryId, checkedRate, recordedDate });
+                return this.writePriceProposals(plan, {
+                    triggerSource,
+                    triggeredBy,
+                    retryOfRunId,
+                    notes,
+                    recordedDate
+                });
+            }, { waitMs: lockWaitMs });
+        } catch (error) {
+            console.error('Daily price update failed:', error);
+            throw error;
+        }
+    }
+
+    async previewDailyPrices({ commodityIds = null, createdBy = null } = {}) {
+        try {
+            const plan = await this.buildPriceProposals({ commodityIds });
+            const token = crypto.randomBytes(24).toString('hex');
+            const expiresAt = new Date(Date.now() + this.previewTtlMs).toISOString();
+
+            const { error } = await this.adminClient()
+                .from('price_update_previews')
                 .insert({
-                    from_currency: 'ZAR',
-                    to_currency: 'USD',
-                    rate: zarToUsdRate,
-                    source: 'daily_update'
+                    token,
+                    created_by: createdBy,
+                    exchange_rate: plan.exchange_rate,
+                    plan,
+                    expires_at: expiresAt
                 });
 
-            if (rateError) {
-                console.error('Failed to log exchange rate:', rateError);
+            if (error) {
+                throw error;
             }
 
-            try {
-                await client
-                    .from('price_update_runs')
-                    .insert({
-                        executed_at: new Date().toISOString(),
-                        triggered_by: triggeredBy,
-                        trigger_source: triggerSource,
-                        total_commodities: activeRanges.length,
-                        updated_commodities: updatedCount,
-                        status: updatedCount > 0 ? 'success' : 'no_updates'
-                    });
-            } catch (runError) {
-                console.error('Failed to log price update run:', runError);
+            return {
+                token,
+                expires_at: expiresAt,
+                exchange_rate: plan.exchange_rate,
+                fx_check: plan.fx_check,
+                total: plan.total,
+                proposals: plan.proposals,
+                skipped: plan.skipped,
+                failures: plan.failures
+            };
+        } catch (error) {
+            console.error('Price update preview failed:', error);
+            throw error;
+        }
+    }
+
+    async getPricePreview(token) {
+        const { data, error } = await this.adminClient()
+            .from('price_update_previews')
+            .select('id, token, created_by, exchange_rate, plan, expires_at, committed_at, committed_by, run_id, created_at')
+            .eq('token', token)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async commitPricePreview(token, { triggeredBy = null, ignoreCalendar = false, acceptFxCheck = false } = {}) {
+        try {
+            const preview = await this.getPricePreview(token);
+            if (!preview) {
+                return null;
+            }
+
+            if (preview.committed_at) {
+                return { success: false, message: 'Preview has already been committed' };
+            }
+
+            if (new Date(preview.expires_at).getTime() < Date.now()) {
+                return { success: false, message: 'Preview has expired, generate a new one' };
+            }
+
+            // Claim the preview first so two admins cannot publish the same values twice
+            const { data: claimed, error: claimError } = await this.adminClient()
+                .from('price_update_previews')
+                .update({
+                    committed_at: new Date().toISOString(),
+                    committed_by: triggeredBy
+                })
+                .eq('id', preview.id)
+                .is('committed_at', null)
+                .select('id');
+
+            if (claimError) {
+                throw claimError;
+            }
+
+            if (!claimed || claimed.length === 0) {
+                return { success: false, message: 'Preview has already been committed' };
+            }
+
+            const { plan } = preview;
+            const result = await this.withPriceUpdateLock(async () => {
+                // Committed values are the day's prices on the day they are committed, not the day they were previewed,
+                // and pass the same calendar and exchange rate gates as a direct update
+                const recordedDate = this.todayDate();
+                const run = { triggered_by: triggeredBy, trigger_source: 'preview_commit' };
+
+                if (!ignoreCalendar) {
+                    const skipped = await this.skipNonTradingDay(recordedDate, run);
+                    if (skipped) {
+                        return { ...skipped, success: false, message: `Preview not committed: ${skipped.date} is not a trading day (${skipped.reason})` };
+                    }
+                }
+
+                const paused = await this.pauseOnFxCheck({
+                    rate: plan.exchange_rate,
+                    check: plan.fx_check ? { ...plan.fx_check, passed: false } : { passed: true }
+                }, { acceptFxCheck, run });
+                if (paused) {
+                    return paused;
+                }
+
+                return this.writePriceProposals(plan, {
+                    triggerSource: 'preview_commit',
+                    triggeredBy,
+                    recordedDate
+                });
+            });
+
+            if (result.locked || result.skippedHoliday || result.paused) {
+                // Nothing was published, so release the claim and let the preview be committed later
+                await this.adminClient()
+                    .from('price_update_previews')
+                    .update({ committed_at: null, committed_by: null })
+                    .eq('id', preview.id);
+                return result;
             }
 
-            console.log(`Daily price update complete (${updatedCount}/${activeRanges.length} commodities).`);
-            if (skipped.length > 0) {
-                console.warn('Skipped commodities:', skipped);
+            if (result.runId) {
+                await this.adminClient()
+                    .from('price_update_previews')
+                    .update({ run_id: result.runId })
+                    .eq('id', preview.id);
             }
-            if (failures.length > 0) {
-                console.error('Failed commodities:', failures);
+
+            return result;
+        } catch (error) {
+            console.error('Committing price preview failed:', error);
+            throw error;
+        }
+    }
+
+    async recordPriceUpdateRun(run, items = []) {
+        try {
+            const client = this.adminClient();
+            const { data, error } = await client
+                .from('price_update_runs')
+                .insert({
+                    executed_at: new Date().toISOString(),
+                    ...run
+                })
+                .select('id')
+                .single();
+
+            if (error) {
+                throw error;
             }
 
+            if (items.length > 0) {
+                const { error: itemsError } = await client
+                    .from('price_update_run_items')
+                    .insert(items.map((item) => ({
+                        run_id: data.id,
+                        ...item
+                    })));
+
+                // The prices are already written, so the run keeps its id and records that its items are missing
+                if (itemsError) {
+                    console.error(`Failed to log items for price update run ${data.id}:`, itemsError);
+                    await this.flagMissingRunItems(data.id, run.notes, itemsError);
+                }
+            }
+
+            return data.id;
+        } catch (error) {
+            console.error('Failed to log price update run:', error);
+            return null;
+        }
+    }
+
+    async flagMissingRunItems(runId, notes, itemsError) {
+        const { error } = await this.adminClient()
+            .from('price_update_runs')
+            .update({
+                notes: [notes, `Per-commodity items could not be recorded: ${itemsError.message || itemsError}`]
+                    .filter(Boolean)
+                    .join('; ')
+            })
+            .eq('id', runId);
+
+        if (error) {
+            console.error(`Failed to flag missing items on price update run ${runId}:`, error);
+        }
+    }
+
+    async getPriceUpdateRun(runId) {
+        try {
+            const client = this.adminClient();
+            const { data: run, error } = await client
+                .from('price_update_runs')
+                .select('id, executed_at, trigger_source, retry_of_run_id, total_commodities, updated_commodities, status, notes, triggered_by, approved_by, exchange_rate, exchange_rate_source, fx_check')
+                .eq('id', runId)
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (!run) {
+                return null;
+            }
+
+            const { data: items, error: itemsError } = await client
+                .from('price_update_run_items')
+                .select(`
+                    id,
+                    commodity_id,
+                    recorded_date,
+                    status,
+                    old_price_zar,
+                    old_price_usd,
+                    new_price_zar,
+                    new_price_usd,
+                    exchange_rate,
+                    strategy,
+                    strategy_params,
+                    reason,
+                    error_code,
+                    commodities(name, symbol)
+                `)
+                .eq('run_id', runId)
+                .order('status', { ascending: true });
+
+            if (itemsError) {
+                throw itemsError;
+            }
+
+            const breakdown = (items || []).map(({ commodities, ...item }) => ({
+                ...item,
+                commodity_name: commodities?.name ?? null,
+                symbol: commodities?.symbol ?? null
+            }));
+
+            // Counts every status present, so quarantined and pending_approval items show up in the totals too
+            const summary = breakdown.reduce((counts, item) => ({
+                ...counts,
+                [item.status]: (counts[item.status] ?? 0) + 1
+            }), { updated: 0, skipped: 0, failed: 0 });
+
             return {
-                success: true,
-                updated: updatedCount,
-                total: activeRanges.length,
-                skipped,
-                failures
+                ...run,
+                summary,
+                items: breakdown
             };
         } catch (error) {
-            console.error('Daily price update failed:', error);
+            console.error(`Error fetching price update run ${runId}:`, error);
             throw error;
         }
     }
 
-    async updateCommodityPrice(commodityId, prices = {}, triggeredBy = null, triggerSource = 'manual_single') {
-        try {
-            const client = this.adminClient();
-            const zarToUsdRate = await currencyService.getCurrencyRate('ZAR', 'USD');
-            if (!zarToUsdRate) {
-                throw new Error('Failed to load exchange rate');
-            }
+    async retryPriceUpdateRun(runId, { triggeredBy = null } = {}) {
+        const run = await this.getPriceUpdateRun(runId);
+        if (!run) {
+            return null;
+        }
+
+        const commodityIds = [...new Set(run.items
+            .filter((item) => item.status === 'failed' || item.status === 'skipped')
+            .map((item) => item.commodity_id))];
+
+        if (commodityIds.length === 0) {
+            return {
+                success: false,
+                message: 'Run has no failed or skipped commodities to retry'
+            };
+        }
+
+        return this.updateDailyPrices({
+            triggerSource: 'retry',
+            triggeredBy,
+            commodityIds,
+            retryOfRunId: run.id
+        });
+    }
+
+    // Shared validation for manual prices: either currency, converted to the other at the given rate
+    normalisePrice(prices = {}, zarToUsdRate) {
+        const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
+        let priceUsd = parseNumber(prices.priceUsd);
+        let priceZar = parseNumber(prices.priceZar);
 
-            const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
-            const parseNumber = (value) => {
-                if (value === null || value === undefined) {
-                    return undefined;
-                }
-                const numeric = Number(value);
-                return Number.isFinite(numeric) ? numeric : undefined;
-            };
+        if (priceUsd === undefined && priceZar === undefined) {
+            throw new Error('A price must be provided in USD or ZAR');
+        }
 
-            let priceUsd = parseNumber(prices.priceUsd);
-            let priceZar = parseNumber(prices.priceZar);
+        if (priceUsd !== undefined && priceUsd <= 0) {
+            throw new Error('USD price must be greater than zero');
+        }
 
-            if (priceUsd === undefined && priceZar === undefined) {
-                throw new Error('A price must be provided in USD or ZAR');
-            }
+        if (priceZar !== undefined && priceZar <= 0) {
+            throw new Error('ZAR price must be greater than zero');
+        }
 
-            if (priceUsd === undefined && priceZar !== undefined) {
-                priceUsd = parseFloat((priceZar * zarToUsdRate).toFixed(4));
-            }
+        if (priceUsd === undefined) {
+            priceUsd = priceZar * zarToUsdRate;
+        }
+
+        if (priceZar === undefined) {
+            priceZar = priceUsd * usdToZarRate;
+        }
+
+        return {
+            priceUsd: parseFloat(priceUsd.toFixed(4)),
+            priceZar: parseFloat(priceZar.toFixed(4))
+        };
+    }
 
-            if (priceZar === undefined && priceUsd !== undefined) {
-                priceZar = parseFloat((priceUsd * usdToZarRate).toFixed(4));
+    // Shared validation for price ranges: a full USD or ZAR pair, with the other currency derived from it
+    normalisePriceRange(range = {}, zarToUsdRate) {
+        const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
+        let minPriceUsd = parseNumber(range.minPriceUsd);
+        let maxPriceUsd = parseNumber(range.maxPriceUsd);
+        let minPriceZar = parseNumber(range.minPriceZar);
+        let maxPriceZar = parseNumber(range.maxPriceZar);
+
+        if (minPriceUsd !== undefined && maxPriceUsd !== undefined) {
+            if (minPriceUsd >= maxPriceUsd) {
+                throw new Error('USD minimum price must be less than maximum price');
+            }
+            minPriceZar = parseFloat((minPriceUsd * usdToZarRate).toFixed(4));
+            maxPriceZar = parseFloat((maxPriceUsd * usdToZarRate).toFixed(4));
+        } else if (minPriceZar !== undefined && maxPriceZar !== undefined) {
+            if (minPriceZar >= maxPriceZar) {
+                throw new Error('ZAR minimum price must be less than maximum price');
             }
+            minPriceUsd = parseFloat((minPriceZar * zarToUsdRate).toFixed(4));
+            maxPriceUsd = parseFloat((maxPriceZar * zarToUsdRate).toFixed(4));
+        } else {
+            throw new Error('Minimum and maximum prices are required in either USD or ZAR');
+        }
+
+        if (minPriceUsd >= maxPriceUsd || minPriceZar >= maxPriceZar) {
+            throw new Error('Minimum price must be less than maximum price');
+        }
+
+        return { minPriceUsd, maxPriceUsd, minPriceZar, maxPriceZar };
+    }
 
-            if (priceUsd === undefined || priceZar === undefined) {
-                throw new Error('Unable to resolve USD and ZAR price values');
+    async updateCommodityPrice(commodityId, prices = {}, triggeredBy = null, triggerSource = 'manual_single', {
+        approvedBy = null,
+        skipAnomalyCheck = false,
+        acceptFxCheck = false
+    } = {}) {
+        try {
+            const client = this.adminClient();
+            const { rate: zarToUsdRate, fxCheck } = await this.checkedWriteRate({ acceptFxCheck });
+            if (fxCheck?.action === 'pause') {
+                return { success: false, paused: true, message: `Price not published: ${fxCheck.message}`, fxCheck };
             }
 
-            const normalizedUsd = parseFloat(priceUsd.toFixed(4));
-            const normalizedZar = parseFloat(priceZar.toFixed(4));
+            const { priceUsd: normalizedUsd, priceZar: normalizedZar } = this.normalisePrice(prices, zarToUsdRate);
             const currentRecord = await this.getCurrentPriceRecord(commodityId);
             const previousPriceZar = currentRecord?.price_zar ? Number(currentRecord.price_zar) : null;
-            const change24hValue = this.calculateChangePercentage(previousPriceZar, normalizedZar);
+            const previousClose = await this.getPreviousClose(commodityId, this.todayDate());
+            const change24hValue = this.calculateChangePercentage(previousClose ? Number(previousClose.price_zar) : null, normalizedZar);
+
+            if (!skipAnomalyCheck) {
+                const { data: commodity } = await client
+                    .from('commodities')
+                    .select('category_id')
+                    .eq('id', commodityId)
+                    .maybeSingle();
+
+                const breach = await this.detectAnomaly({
+                    commodityId,
+                    categoryId: commodity?.category_id ?? null,
+                    previousPriceZar,
+                    newPriceZar: normalizedZar
+                }, await anomalyService.listRules({ activeOnly: true }));
+
+                if (breach) {
+                    return this.quarantineManualPrice(commodityId, {
+                        priceUsd: normalizedUsd,
+                        priceZar: normalizedZar,
+                        zarToUsdRate,
+                        currentRecord,
+                        breach
+                    }, { triggeredBy, approvedBy, triggerSource });
+                }
+            }
 
             const { error: currentError } = await client
                 .from('current_prices')
@@ -275,43 +1280,47 @@ class PriceService {
                 throw currentError;
             }
 
-            const { error: historyError } = await client
-                .from('price_history')
-                .insert({
-                    commodity_id: commodityId,
-                    price_zar: normalizedZar,
-                    price_usd: normalizedUsd,
-                    exchange_rate: zarToUsdRate,
-                    recorded_date: new Date().toISOString().split('T')[0]
-                });
-
-            if (historyError) {
-                throw historyError;
-            }
-
-            try {
-                await client
-                    .from('price_update_runs')
-                    .insert({
-                        executed_at: new Date().toISOString(),
-                        triggered_by: triggeredBy,
-                        trigger_source: triggerSource,
-                        total_commodities: 1,
-                        updated_commodities: 1,
-                        status: 'success',
-                        notes: `Manual price update for commodity ${commodityId}`
-                    });
-            } catch (runError) {
-                console.error('Failed to log manual price update:', runError);
-            }
+            // A manual price is an explicit override, so the reject policy keeps it as a revision instead
+            const recordedDate = this.todayDate();
+            const existingRows = await this.getHistoryForDate(commodityId, recordedDate);
+            await this.writeDailyClose({
+                commodity_id: commodityId,
+                price_zar: normalizedZar,
+                price_usd: normalizedUsd,
+                exchange_rate: zarToUsdRate,
+                recorded_date: recordedDate
+            }, existingRows, this.sameDayPolicy === 'reject' ? 'revision' : this.sameDayPolicy);
+
+            const runId = await this.recordPriceUpdateRun({
+                triggered_by: triggeredBy,
+                approved_by: approvedBy,
+                trigger_source: triggerSource,
+                total_commodities: 1,
+                updated_commodities: 1,
+                status: 'success',
+                notes: `Manual price update for commodity ${commodityId}`,
+                fx_check: fxCheck
+            }, [{
+                commodity_id: commodityId,
+                status: 'updated',
+                old_price_zar: previousPriceZar,
+                old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+                new_price_zar: normalizedZar,
+                new_price_usd: normalizedUsd,
+                exchange_rate: zarToUsdRate,
+                strategy: 'manual'
+            }]);
+
+            await this.notifyPricesPublished({ from: recordedDate, to: recordedDate, runId, source: triggerSource });
 
             return {
                 success: true,
                 data: {
+                    run_id: runId,
                     commodity_id: commodityId,
                     price_zar: normalizedZar,
                     price_usd: normalizedUsd,
-                    change_24h_percent: change24h,
+                    change_24h_percent: change24hValue,
                     exchange_rate: zarToUsdRate
                 }
             };
@@ -321,12 +1330,186 @@ class PriceService {
         }
     }
 
+    async quarantineManualPrice(commodityId, { priceUsd, priceZar, zarToUsdRate, currentRecord, breach }, { triggeredBy, approvedBy, triggerSource }) {
+        const previousPriceZar = currentRecord?.price_zar ? Number(currentRecord.price_zar) : null;
+        const entry = await anomalyService.quarantine({
+            commodity_id: commodityId,
+            trigger_source: triggerSource,
+            price_usd: priceUsd,
+            price_zar: priceZar,
+            exchange_rate: zarToUsdRate,
+            previous_price_zar: previousPriceZar,
+            requested_by: triggeredBy,
+            ...breach
+        });
+
+        const runId = await this.recordPriceUpdateRun({
+            triggered_by: triggeredBy,
+            approved_by: approvedBy,
+            trigger_source: triggerSource,
+            total_commodities: 1,
+            updated_commodities: 0,
+            status: 'quarantined',
+            notes: `Manual price for commodity ${commodityId} quarantined`
+        }, [{
+            commodity_id: commodityId,
+            status: 'quarantined',
+            old_price_zar: previousPriceZar,
+            old_price_usd: parseNumber(currentRecord?.price_usd) ?? null,
+            new_price_zar: priceZar,
+            new_price_usd: priceUsd,
+            exchange_rate: zarToUsdRate,
+            strategy: 'manual',
+            reason: breach.reason
+        }]);
+
+        await anomalyService.linkRun([entry.id], runId);
+
+        return {
+            success: false,
+            quarantined: true,
+            message: `Price quarantined: ${breach.reason}`,
+            data: {
+                run_id: runId,
+                quarantine_id: entry.id,
+                commodity_id: commodityId,
+                price_zar: priceZar,
+                price_usd: priceUsd,
+                change_percent: breach.change_percent,
+                z_score: breach.z_score
+            }
+        };
+    }
+
+    // Publishes a quarantined price after an admin has checked it
+    async releaseQuarantinedPrice(id, reviewerId, notes = null, { acceptFxCheck = false } = {}) {
+        const entry = await anomalyService.resolveQuarantined(id, 'released', reviewerId, notes);
+        if (!entry) {
+            return null;
+        }
+
+        // The price belongs to the day it was held back on, not the day it is released
+        const recordedDate = this.todayDate(new Date(entry.detected_at));
+
+        let result;
+        try {
+            result = recordedDate === this.todayDate()
+                ? await this.updateCommodityPrice(
+                    entry.commodity_id,
+                    { priceUsd: entry.price_usd, priceZar: entry.price_zar },
+                    entry.requested_by,
+                    'quarantine_release',
+                    { approvedBy: reviewerId, skipAnomalyCheck: true, acceptFxCheck }
+                )
+                : await this.publishEarlierPrice(entry, recordedDate, reviewerId);
+        } catch (error) {
+            await anomalyService.reopenQuarantined(id);
+            throw error;
+        }
+
+        if (result.paused) {
+            await anomalyService.reopenQuarantined(id);
+            return result;
+        }
+
+        const { error } = await this.adminClient()
+            .from('price_quarantine')
+            .update({ release_run_id: result.data.run_id })
+            .eq('id', id);
+
+        if (error) {
+            console.error(`Failed to link quarantined price ${id} to run ${result.data.run_id}:`, error);
+        }
+
+        return { entry: { ...entry, release_run_id: result.data.run_id }, data: result.data };
+    }
+
+    // Writes a released price as the close of its original day; it only becomes the current price when no later close exists
+    async publishEarlierPrice(entry, recordedDate, approvedBy) {
+        const commodityId = entry.commodity_id;
+        const priceZar = Number(entry.price_zar);
+        const priceUsd = Number(entry.price_usd);
+        const zarToUsdRate = Number(entry.exchange_rate);
+
+        const [latestClose] = await this.getLatestCloses(commodityId, 1);
+        const isLatest = !latestClose || latestClose.recorded_date <= recordedDate;
+
+        const existingRows = await this.getHistoryForDate(commodityId, recordedDate);
+        await this.writeDailyClose({
+            commodity_id: commodityId,
+            price_zar: priceZar,
+            price_usd: priceUsd,
+            exchange_rate: zarToUsdRate,
+            recorded_date: recordedDate
+        }, existingRows, this.sameDayPolicy === 'reject' ? 'revision' : this.sameDayPolicy);
+
+        let change24hValue = null;
+        if (isLatest) {
+            const previous = await this.getPreviousClose(commodityId, recordedDate);
+            change24hValue = this.calculateChangePercentage(previous ? Number(previous.price_zar) : null, priceZar);
+
+            const { error: currentError } = await this.adminClient()
+                .from('current_prices')
+                .upsert({
+                    commodity_id: commodityId,
+                    price_zar: priceZar,
+                    price_usd: priceUsd,
+                    exchange_rate: zarToUsdRate,
+                    change_24h_percent: change24hValue,
+                    last_updated: new Date().toISOString()
+                }, { onConflict: 'commodity_id' });
+
+            if (currentError) {
+                throw currentError;
+            }
+        } else {
+            await this.refreshCurrentPriceAfterCorrection(commodityId, recordedDate);
+        }
+
+        const runId = await this.recordPriceUpdateRun({
+            triggered_by: entry.requested_by,
+            approved_by: approvedBy,
+            trigger_source: 'quarantine_release',
+            total_commodities: 1,
+            updated_commodities: 1,
+            status: 'success',
+            notes: `Release of quarantined ${recordedDate} price for commodity ${commodityId}`
+        }, [{
+            commodity_id: commodityId,
+            recorded_date: recordedDate,
+            status: 'updated',
+            old_price_zar: entry.previous_price_zar,
+            new_price_zar: priceZar,
+            new_price_usd: priceUsd,
+            exchange_rate: zarToUsdRate,
+            strategy: 'manual',
+            reason: isLatest ? null : `Backfilled ${recordedDate} close; the ${latestClose.recorded_date} close stays the current price`
+        }]);
+
+        // Later levels may carry this close forward, so everything up to today is recalculated
+        await this.notifyPricesPublished({ from: recordedDate, to: this.todayDate(), runId, source: 'quarantine_release' });
+
+        return {
+            success: true,
+            data: {
+                run_id: runId,
+                commodity_id: commodityId,
+                recorded_date: recordedDate,
+                price_zar: priceZar,
+                price_usd: priceUsd,
+                change_24h_percent: change24hValue,
+                exchange_rate: zarToUsdRate,
+                current_price_updated: isLatest
+            }
+        };
+    }
+
     async getPriceRange(commodityId) {
         try {
             const client = this.adminClient();
             const { data, error } = await client
                 .from('price_ranges')
-                .select('commodity_id, min_price_zar, max_price_zar, min_price_usd, max_price_usd, is_active')
+                .select('commodity_id, min_price_zar, max_price_zar, min_price_usd, max_price_usd, price_strategy, strategy_params, is_active')
                 .eq('commodity_id', commodityId)
                 .maybeSingle();
 
@@ -341,55 +1524,43 @@ class PriceService {
         }
     }
 
-    async updatePriceRange(commodityId, range = {}, updatedBy = null) {
+    async updatePriceRange(commodityId, range = {}, updatedBy = null, { acceptFxCheck = false } = {}) {
         try {
             const client = this.adminClient();
-            const zarToUsdRate = await currencyService.getCurrencyRate('ZAR', 'USD');
-            if (!zarToUsdRate) {
-                throw new Error('Failed to load exchange rate for price range update');
+            const { rate: zarToUsdRate, fxCheck } = await this.checkedWriteRate({ acceptFxCheck });
+            if (fxCheck?.action === 'pause') {
+                return { success: false, paused: true, message: `Price range not saved: ${fxCheck.message}`, fxCheck };
             }
 
-            const usdToZarRate = Number((1 / zarToUsdRate).toFixed(6));
-            const parseNumber = (value) => {
-                if (value === null || value === undefined) {
-                    return undefined;
-                }
-                const numeric = Number(value);
-                return Number.isFinite(numeric) ? numeric : undefined;
+            const {
+                minPriceUsd,
+                maxPriceUsd,
+                minPriceZar,
+                maxPriceZar
+            } = this.normalisePriceRange(range, zarToUsdRate);
+
+            const payload = {
+                commodity_id: commodityId,
+                min_price_zar: minPriceZar,
+                max_price_zar: maxPriceZar,
+                min_price_usd: minPriceUsd,
+                max_price_usd: maxPriceUsd,
+                is_active: true,
+                updated_by: updatedBy,
+                updated_at: new Date().toISOString()
             };
 
-            let minPriceUsd = parseNumber(range.minPriceUsd);
-            let maxPriceUsd = parseNumber(range.maxPriceUsd);
-            let minPriceZar = parseNumber(range.minPriceZar);
-            let maxPriceZar = parseNumber(range.maxPriceZar);
-
-            if (minPriceUsd !== undefined && maxPriceUsd !== undefined) {
-                minPriceZar = parseFloat((minPriceUsd * usdToZarRate).toFixed(4));
-                maxPriceZar = parseFloat((maxPriceUsd * usdToZarRate).toFixed(4));
-            } else if (minPriceZar !== undefined && maxPriceZar !== undefined) {
-                minPriceUsd = parseFloat((minPriceZar * zarToUsdRate).toFixed(4));
-                maxPriceUsd = parseFloat((maxPriceZar * zarToUsdRate).toFixed(4));
-            } else {
-                throw new Error('Valid price range values were not provided');
-            }
-
-            if (minPriceUsd >= maxPriceUsd || minPriceZar >= maxPriceZar) {
-                throw new Error('Minimum price must be less than maximum price');
+            if (range.strategy !== undefined) {
+                payload.price_strategy = range.strategy || null;
+                payload.strategy_params = range.strategy
+                    ? priceStrategies.resolveParams(range.strategy, range.strategyParams)
+                    : null;
             }
 
             const { data, error } = await client
                 .from('price_ranges')
-                .upsert({
-                    commodity_id: commodityId,
-                    min_price_zar: minPriceZar,
-                    max_price_zar: maxPriceZar,
-                    min_price_usd: minPriceUsd,
-                    max_price_usd: maxPriceUsd,
-                    is_active: true,
-                    updated_by: updatedBy,
-                    updated_at: new Date().toISOString()
-                }, { onConflict: 'commodity_id' })
-                .select('commodity_id, min_price_zar, max_price_zar, min_price_usd, max_price_usd, is_active')
+                .upsert(payload, { onConflict: 'commodity_id' })
+                .select('commodity_id, min_price_zar, max_price_zar, min_price_usd, max_price_usd, price_strategy, strategy_params, is_active')
                 .single();
 
             if (error) {
@@ -398,7 +1569,8 @@ class PriceService {
 
             return {
                 success: true,
-                data
+                data,
+                fxCheck
             };
         } catch (error) {
             console.error('Price range update failed:', error);
@@ -406,49 +1578,292 @@ class PriceService {
         }
     }
 
-    async getCommodityStats(commodityId, period = '30d') {
-        try {
-            const periodDaysMap = {
-                '7d': 7,
-                '30d': 30,
-                '90d': 90,
-                '1y': 365
-            };
+    async getDailyClose(commodityId, recordedDate) {
+        const { data, error } = await this.adminClient()
+            .from('price_history')
+            .select('id, commodity_id, recorded_date, recorded_time, price_zar, price_usd, exchange_rate, is_close')
+            .eq('commodity_id', commodityId)
+            .eq('recorded_date', recordedDate);
+
+        if (error) {
+            throw error;
+        }
+
+        const [close] = this.selectDailyCloses(data || []);
+        return close ?? null;
+    }
+
+    // The last `count` daily closes, oldest first
+    async getLatestCloses(commodityId, count = 2) {
+        const closes = [];
+
+        while (closes.length < count) {
+            const close = await this.getPreviousClose(commodityId, closes[0]?.recorded_date ?? null);
+            if (!close) {
+                break;
+            }
+            closes.unshift(close);
+        }
+
+        return closes;
+    }
+
+    // Corrections never touch the latest close, so a corrected close only feeds the 24h change, as the previous close
+    async refreshCurrentPriceAfterCorrection(commodityId, recordedDate) {
+        const closes = await this.getLatestCloses(commodityId, 2);
+        const latest = closes[closes.length - 1];
+        const previous = closes.length > 1 ? closes[0] : null;
+
+        if (!latest || !closes.some((close) => close.recorded_date === recordedDate)) {
+            return null;
+        }
+
+        const update = {
+            change_24h_percent: this.calculateChangePercentage(
+                previous ? Number(previous.price_zar) : null,
+                Number(latest.price_zar)
+            )
+        };
+
+        const { error } = await this.adminClient()
+            .from('current_prices')
+            .update(update)
+            .eq('commodity_id', commodityId);
+
+        if (error) {
+            throw error;
+        }
+
+        return update;
+    }
+
+    async correctHistoricalPrice(commodityId, recordedDate, prices = {}, { reason, correctedBy = null } = {}) {
+        return this.withPriceUpdateLock(async () => {
+            const close = await this.getDailyClose(commodityId, recordedDate);
+            if (!close) {
+                return { success: false, notFound: true, message: `No price recorded on ${recordedDate}` };
+            }
+
+            // The latest close is the published price; changing it needs a second admin and the anomaly check,
+            // so it goes through a price change request instead
+            const [latestClose] = await this.getLatestCloses(commodityId, 1);
+            if (recordedDate >= this.todayDate() || latestClose?.recorded_date === recordedDate) {
+                return {
+                    success: false,
+                    conflict: true,
+                    message: `The ${recordedDate} close is the current price and cannot be corrected; submit a price change for approval instead`
+                };
+            }
+
+            // The day's own exchange rate converts the other currency, not today's
+            const zarToUsdRate = Number(close.exchange_rate)
+                || (await currencyService.getRateOnDate('ZAR', 'USD', recordedDate))?.rate
+                || await currencyService.getCurrencyRate('ZAR', 'USD');
+            const { priceUsd, priceZar } = this.normalisePrice(prices, zarToUsdRate);
 
-            const days = periodDaysMap[period] ?? 30;
-            const sinceDate = new Date();
-            sinceDate.setDate(sinceDate.getDate() - days);
-            const since = sinceDate.toISOString().split('T')[0];
+            if (priceUsd === Number(close.price_usd) && priceZar === Number(close.price_zar)) {
+                return { success: false, message: 'Corrected price is the same as the recorded price' };
+            }
 
             const client = this.adminClient();
-            const { data, error } = await client
-                .from('price_history')
-                .select('price_zar, price_usd, recorded_date')
-                .eq('commodity_id', commodityId)
-                .gte('recorded_date', since)
-                .order('recorded_date', { ascending: true });
+            const revisedAt = new Date().toISOString();
 
-            if (error) {
-                throw error;
+            // The revision is written first so the history is never rewritten without an audit record
+            const { data: revision, error: revisionError } = await client
+                .from('price_revisions')
+                .insert({
+                    price_history_id: close.id,
+                    commodity_id: commodityId,
+                    recorded_date: recordedDate,
+                    old_price_zar: close.price_zar,
+                    old_price_usd: close.price_usd,
+                    new_price_zar: priceZar,
+                    new_price_usd: priceUsd,
+                    exchange_rate: zarToUsdRate,
+                    reason,
+                    revised_by: correctedBy,
+                    revised_at: revisedAt
+                })
+                .select('id, price_history_id, commodity_id, recorded_date, old_price_zar, old_price_usd, new_price_zar, new_price_usd, exchange_rate, reason, revised_by, revised_at')
+                .single();
+
+            if (revisionError) {
+                throw revisionError;
             }
 
-            if (!data || data.length === 0) {
-                return null;
+            const { error: updateError } = await client
+                .from('price_history')
+                .update({
+                    price_zar: priceZar,
+                    price_usd: priceUsd,
+                    revised_at: revisedAt
+                })
+                .eq('id', close.id);
+
+            if (updateError) {
+                // Without the change the revision would describe something that never happened
+                const { error: discardError } = await client
+                    .from('price_revisions')
+                    .delete()
+                    .eq('id', revision.id);
+
+                if (discardError) {
+                    console.error(`Failed to discard revision ${revision.id} after a failed correction:`, discardError);
+                }
+                throw updateError;
             }
 
-            const pricesZar = data.map((item) => Number(item.price_zar));
-            const pricesUsd = data.map((item) => Number(item.price_usd));
+            const currentPrice = await this.refreshCurrentPriceAfterCorrection(commodityId, recordedDate);
+
+            const runId = await this.recordPriceUpdateRun({
+                triggered_by: correctedBy,
+                trigger_source: 'correction',
+                total_commodities: 1,
+                updated_commodities: 1,
+                status: 'success',
+                notes: `Correction of ${recordedDate} close: ${reason}`
+            }, [{
+                commodity_id: commodityId,
+                recorded_date: recordedDate,
+                status: 'updated',
+                old_price_zar: close.price_zar,
+                old_price_usd: close.price_usd,
+                new_price_zar: priceZar,
+                new_price_usd: priceUsd,
+                exchange_rate: zarToUsdRate,
+                strategy: 'correction',
+                reason
+            }]);
+
+            // Later levels may carry the corrected close forward, so everything up to today is recalculated
+            await this.notifyPricesPublished({ from: recordedDate, to: this.todayDate(), runId, source: 'correction' });
+
+            const nextClose = await this.getNextClose(commodityId, recordedDate);
+
+            return {
+                success: true,
+                data: {
+                    run_id: runId,
+                    revision,
+                    current_price: currentPrice,
+                    next_close: nextClose
+                        ? {
+                            recorded_date: nextClose.recorded_date,
+                            price_zar: nextClose.price_zar,
+                            change_percent: this.calculateChangePercentage(priceZar, Number(nextClose.price_zar))
+                        }
+                        : null
+                }
+            };
+        });
+    }
+
+    async getNextClose(commodityId, recordedDate) {
+        const { data, error } = await this.adminClient()
+            .from('price_history')
+            .select('recorded_date, recorded_time, price_zar, price_usd, is_close')
+            .eq('commodity_id', commodityId)
+            .or(CLOSE_ROW_FILTER)
+            .gt('recorded_date', recordedDate)
+            .order('recorded_date', { ascending: true })
+            .order('recorded_time', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data?.[0] ?? null;
+    }
+
+    // Latest close from before a date (or overall, without one), which the 24h change of a price recorded on that date is measured against
+    async getPreviousClose(commodityId, recordedDate) {
+        let query = this.adminClient()
+            .from('price_history')
+            .select('recorded_date, recorded_time, price_zar, price_usd, is_close')
+            .eq('commodity_id', commodityId)
+            .or(CLOSE_ROW_FILTER);
+
+        if (recordedDate) {
+            query = query.lt('recorded_date', recordedDate);
+        }
+
+        const { data, error } = await query
+            .order('recorded_date', { ascending: false })
+            .order('recorded_time', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return data?.[0] ?? null;
+    }
+
+    // Public revision trail; who made the correction stays internal
+    async getPriceRevisions(commodityId, { date = null } = {}) {
+        let query = supabase.getClient()
+            .from('price_revisions')
+            .select('id, recorded_date, old_price_zar, old_price_usd, new_price_zar, new_price_usd, exchange_rate, reason, revised_at')
+            .eq('commodity_id', commodityId)
+            .order('revised_at', { ascending: true });
+
+        if (date) {
+            query = query.eq('recorded_date', date);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    // Calendar span of a period, starting on its first trading day
+    async resolvePeriod(period = '30d') {
+        const days = PERIOD_DAYS[period] ?? 30;
+        const until = tradingCalendarService.localDate();
+        const sinceDate = new Date(`${until}T00:00:00Z`);
+        sinceDate.setUTCDate(sinceDate.getUTCDate() - days);
+        const since = sinceDate.toISOString().split('T')[0];
+
+        const tradingDays = (await tradingCalendarService.getTradingDays(since, until))
+            .filter((day) => day.is_trading_day);
+
+        return {
+            since: tradingDays[0]?.date ?? since,
+            until,
+            trading_days: tradingDays.length
+        };
+    }
+
+    async getCommodityStats(commodityId, period = '30d', currency = 'both') {
+        try {
+            const { since, trading_days: tradingDays } = await this.resolvePeriod(period);
+
+            const rows = await this.loadPriceRows(commodityId, { since });
+            const data = await this.convertPrices(this.selectDailyCloses(rows), currency);
+            if (data.length === 0) {
+                return null;
+            }
 
+            const currencies = currency === 'both' ? ['zar', 'usd'] : [currency];
             const sum = (arr) => arr.reduce((total, value) => total + value, 0);
+            const stats = {};
+
+            currencies.forEach((code) => {
+                const prices = data.map((item) => Number(item[`price_${code}`]));
+                stats[`min_price_${code}`] = Math.min(...prices);
+                stats[`max_price_${code}`] = Math.max(...prices);
+                stats[`avg_price_${code}`] = parseFloat((sum(prices) / prices.length).toFixed(4));
+            });
 
             return {
                 data_points: data.length,
-                min_price_zar: Math.min(...pricesZar),
-                max_price_zar: Math.max(...pricesZar),
-                avg_price_zar: parseFloat((sum(pricesZar) / pricesZar.length).toFixed(4)),
-                min_price_usd: Math.min(...pricesUsd),
-                max_price_usd: Math.max(...pricesUsd),
-                avg_price_usd: parseFloat((sum(pricesUsd) / pricesUsd.length).toFixed(4)),
+                trading_days: tradingDays,
+                ...stats,
                 period_start: data[0].recorded_date,
                 period_end: data[data.length - 1].recorded_date
             };
@@ -458,6 +1873,317 @@ class PriceService {
         }
     }
 
+    // One open/high/low/close bar per day from every price published that day. Days from before ticks were kept,
+    // or filled by a backfill, fall back to their history rows; the close is always the day's canonical close.
+    buildDailyBars(rows = [], currency = 'zar', ticks = []) {
+        const field = `price_${currency}`;
+        const byDate = (records) => {
+            const days = new Map();
+            records.forEach((record) => {
+                days.set(record.recorded_date, [...(days.get(record.recorded_date) || []), record]);
+            });
+            return days;
+        };
+        const days = byDate(rows);
+        const ticksByDay = byDate(ticks);
+
+        return [...days.entries()]
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([date, dayRows]) => {
+                const updates = [...(ticksByDay.get(date) || dayRows)]
+                    .sort((a, b) => String(a.recorded_time ?? '').localeCompare(String(b.recorded_time ?? '')));
+                const prices = updates.map((update) => Number(update[field]));
+                const [close] = this.selectDailyCloses(dayRows);
+                const closePrice = close ? Number(close[field]) : prices[prices.length - 1];
+
+                return {
+                    period_start: date,
+                    period_end: date,
+                    open: prices[0],
+                    // A corrected close can sit outside the published ticks
+                    high: Math.max(...prices, closePrice),
+                    low: Math.min(...prices, closePrice),
+                    close: closePrice,
+                    updates: updates.length
+                };
+            });
+    }
+
+    resampleBars(dailyBars, interval = 'daily') {
+        if (interval === 'daily') {
+            return dailyBars;
+        }
+
+        const buckets = new Map();
+        dailyBars.forEach((bar) => {
+            const key = bucketStart(bar.period_start, interval);
+            buckets.set(key, [...(buckets.get(key) || []), bar]);
+        });
+
+        return [...buckets.values()].map((bars) => ({
+            period_start: bars[0].period_start,
+            period_end: bars[bars.length - 1].period_end,
+            open: bars[0].open,
+            high: Math.max(...bars.map((bar) => bar.high)),
+            low: Math.min(...bars.map((bar) => bar.low)),
+            close: bars[bars.length - 1].close,
+            updates: bars.reduce((total, bar) => total + bar.updates, 0)
+        }));
+    }
+
+    isValidOhlcInterval(interval) {
+        return OHLC_INTERVALS.includes(interval);
+    }
+
+    // Every row of a commodity's price history (or ticks) in a date range, read in fetch-size pages
+    async loadPriceRows(commodityId, { since = null, until = null, table = 'price_history', fields = PRICE_ROW_FIELDS } = {}) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += HISTORY_FETCH_SIZE) {
+            let query = this.adminClient()
+                .from(table)
+                .select(fields)
+                .eq('commodity_id', commodityId)
+                .order('recorded_date', { ascending: true })
+                .order('recorded_time', { ascending: true })
+                .order('id', { ascending: true });
+
+            if (since) {
+                query = query.gte('recorded_date', since);
+            }
+            if (until) {
+                query = query.lte('recorded_date', until);
+            }
+
+            const { data, error } = await query.range(offset, offset + HISTORY_FETCH_SIZE - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+            if (!data || data.length < HISTORY_FETCH_SIZE) {
+                return rows;
+            }
+        }
+    }
+
+    async getOhlcBars(commodityId, { interval = 'daily', currency = 'zar', period = '30d' } = {}) {
+        const periodRange = await this.resolvePeriod(period);
+
+        const rows = await this.convertPrices(await this.loadPriceRows(commodityId, { since: periodRange.since }), currency);
+        const ticks = await this.convertPrices(await this.loadPriceRows(commodityId, {
+            since: periodRange.since,
+            table: 'price_ticks',
+            fields: 'price_zar, price_usd, recorded_date, recorded_time'
+        }), currency);
+        const bars = this.resampleBars(this.buildDailyBars(rows, currency, ticks), interval);
+
+        return {
+            interval,
+            currency,
+            period: {
+                start: periodRange.since,
+                end: periodRange.until,
+                trading_days: periodRange.trading_days
+            },
+            bars
+        };
+    }
+
+    parseHistoryOptions(query = {}) {
+        const errors = [];
+        const interval = String(query.interval || 'daily').toLowerCase();
+        const aggregate = String(query.aggregate || 'avg').toLowerCase();
+        const { currency, error: currencyError } = this.parseCurrency(query.currency);
+
+        ['from', 'to', 'cursor'].forEach((field) => {
+            if (query[field] && !(DATE_PATTERN.test(query[field]) && !Number.isNaN(Date.parse(query[field])))) {
+                errors.push(`${field} must be a date in YYYY-MM-DD format`);
+            }
+        });
+        if (query.from && query.to && query.from > query.to) {
+            errors.push('from must not be after to');
+        }
+        if (!this.isValidOhlcInterval(interval)) {
+            errors.push('interval must be daily, weekly or monthly');
+        }
+        if (!HISTORY_AGGREGATES.includes(aggregate)) {
+            errors.push('aggregate must be avg, close or last');
+        }
+        if (currencyError) {
+            errors.push(currencyError);
+        }
+
+        const limitRaw = parseInt(query.limit, 10);
+        const limit = Number.isNaN(limitRaw) || limitRaw <= 0
+            ? HISTORY_DEFAULT_LIMIT
+            : Math.min(limitRaw, HISTORY_MAX_LIMIT);
+
+        return {
+            errors,
+            options: {
+                from: query.from || null,
+                to: query.to || null,
+                period: query.period || '30d',
+                currency,
+                interval,
+                aggregate,
+                cursor: query.cursor || null,
+                limit
+            }
+        };
+    }
+
+    // Reads history in fetch-size pages until one more bucket than requested has started, so every returned bucket is complete
+    async loadHistoryRows(commodityId, { start, end, interval, limit }) {
+        const rows = [];
+        const buckets = new Set();
+
+        for (let offset = 0; ; offset += HISTORY_FETCH_SIZE) {
+            let query = supabase.getClient()
+                .from('price_history')
+                .select('recorded_date, price_zar, price_usd, exchange_rate, volume, recorded_time, is_close, revised_at')
+                .eq('commodity_id', commodityId)
+                .gte('recorded_date', start)
+                .order('recorded_date', { ascending: true })
+                .order('recorded_time', { ascending: true })
+                .range(offset, offset + HISTORY_FETCH_SIZE - 1);
+
+            if (end) {
+                query = query.lte('recorded_date', end);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+            (data || [])
+                .filter((row) => row.is_close !== false)
+                .forEach((row) => buckets.add(bucketStart(row.recorded_date, interval)));
+
+            if (!data || data.length < HISTORY_FETCH_SIZE || buckets.size > limit) {
+                return rows;
+            }
+        }
+    }
+
+    // One value per week or month: the average of its closes, the close of its final trading day, or its latest close
+    resampleHistory(closes, { interval, aggregate, priceFields = ['price_zar', 'price_usd'], finalTradingDays = new Map() }) {
+        const buckets = new Map();
+        closes.forEach((close) => {
+            const key = bucketStart(close.recorded_date, interval);
+            buckets.set(key, [...(buckets.get(key) || []), close]);
+        });
+
+        return [...buckets.entries()].map(([key, bucketCloses]) => {
+            const latest = bucketCloses[bucketCloses.length - 1];
+            const average = (field) => parseFloat((bucketCloses.reduce((total, close) => total + Number(close[field]), 0) / bucketCloses.length).toFixed(4));
+            // A period that has not reached its final trading day (such as the current week) has no close yet
+            const finalDay = finalTradingDays.get(key);
+            const periodClose = finalDay && latest.recorded_date >= finalDay
+                ? bucketCloses.filter((close) => close.recorded_date <= finalDay).pop() ?? null
+                : null;
+            const value = (field) => {
+                if (aggregate === 'avg') {
+                    return average(field);
+                }
+                if (aggregate === 'close') {
+                    return periodClose ? Number(periodClose[field]) : null;
+                }
+                return Number(latest[field]);
+            };
+
+            return {
+                period_start: bucketCloses[0].recorded_date,
+                period_end: latest.recorded_date,
+                ...Object.fromEntries(priceFields.map((field) => [field, value(field)])),
+                observations: bucketCloses.length,
+                revised: bucketCloses.some((close) => Boolean(close.revised_at))
+            };
+        });
+    }
+
+    async getFinalTradingDays(closes, interval) {
+        const finalTradingDays = new Map();
+        if (closes.length === 0) {
+            return finalTradingDays;
+        }
+
+        const from = bucketStart(closes[0].recorded_date, interval);
+        const to = bucketEnd(closes[closes.length - 1].recorded_date, interval);
+        (await tradingCalendarService.getTradingDays(from, to))
+            .filter((day) => day.is_trading_day)
+            .forEach((day) => finalTradingDays.set(bucketStart(day.date, interval), day.date));
+
+        return finalTradingDays;
+    }
+
+    // Daily closes or resampled buckets between two dates, paged with the last date returned as the cursor
+    async getPriceHistory(commodityId, { from = null, to = null, period = '30d', currency = 'both', interval = 'daily', aggregate = 'avg', cursor = null, limit = HISTORY_DEFAULT_LIMIT } = {}) {
+        let range;
+        if (from || to) {
+            const end = to || tradingCalendarService.localDate();
+            const start = from || (await this.resolvePeriod(period)).since;
+            range = {
+                since: start,
+                until: end,
+                trading_days: (await tradingCalendarService.getTradingDays(start, end))
+                    .filter((day) => day.is_trading_day).length
+            };
+        } else {
+            range = await this.resolvePeriod(period);
+        }
+
+        const start = cursor && cursor >= range.since ? addDays(cursor, 1) : range.since;
+        const rows = start > range.until
+            ? []
+            : await this.loadHistoryRows(commodityId, { start, end: range.until, interval, limit });
+        const closes = await this.convertPrices(this.selectDailyCloses(rows), currency);
+        const convertedField = this.convertedPriceField(currency);
+
+        const records = interval === 'daily'
+            ? closes.map((record) => ({
+                recorded_date: record.recorded_date,
+                price_zar: record.price_zar,
+                price_usd: record.price_usd,
+                ...(convertedField ? { [convertedField]: record[convertedField] } : {}),
+                exchange_rate: record.exchange_rate,
+                volume: record.volume,
+                recorded_time: record.recorded_time,
+                revised: Boolean(record.revised_at)
+            }))
+            : this.resampleHistory(closes, {
+                interval,
+                aggregate,
+                priceFields: ['price_zar', 'price_usd', ...(convertedField ? [convertedField] : [])],
+                finalTradingDays: aggregate === 'close' ? await this.getFinalTradingDays(closes, interval) : undefined
+            });
+
+        const page = records.slice(0, limit);
+        const hasMore = records.length > limit;
+        const last = page[page.length - 1];
+
+        return {
+            records: page,
+            interval,
+            aggregate: interval === 'daily' ? null : aggregate,
+            period: {
+                start: range.since,
+                end: range.until,
+                trading_days: range.trading_days
+            },
+            pagination: {
+                limit,
+                has_more: hasMore,
+                next_cursor: hasMore ? (last.recorded_date ?? last.period_end) : null
+            }
+        };
+    }
+
     async getLatestExchangeRate(fromCurrency = 'ZAR', toCurrency = 'USD') {
         try {
             const client = this.adminClient();
@@ -485,7 +2211,17 @@ class PriceService {
         try {
             const client = this.adminClient();
 
-            const [commoditiesResult, categoriesResult, latestPriceResult, latestRunResult, latestExchangeRate] = await Promise.all([
+            const [
+                commoditiesResult,
+                categoriesResult,
+                latestPriceResult,
+                latestRunResult,
+                latestFxCheckResult,
+                latestExchangeRate,
+                pendingChangesResult,
+                quarantinedResult,
+                recentAnomalies
+            ] = await Promise.all([
                 client
                     .from('commodities')
                     .select('id, is_active'),
@@ -500,11 +2236,27 @@ class PriceService {
                     .maybeSingle(),
                 client
                     .from('price_update_runs')
-                    .select('executed_at, trigger_source, updated_commodities, total_commodities, status')
+                    .select('id, executed_at, trigger_source, updated_commodities, total_commodities, status, exchange_rate, exchange_rate_source, fx_check')
+                    .order('executed_at', { ascending: false })
+                    .limit(1)
+                    .maybeSingle(),
+                client
+                    .from('price_update_runs')
+                    .select('id, executed_at, trigger_source, status, fx_check')
+                    .not('fx_check', 'is', null)
                     .order('executed_at', { ascending: false })
                     .limit(1)
                     .maybeSingle(),
-                this.getLatestExchangeRate('ZAR', 'USD').catch(() => null)
+                this.getLatestExchangeRate('ZAR', 'USD').catch(() => null),
+                client
+                    .from('price_change_requests')
+                    .select('id')
+                    .eq('status', 'pending'),
+                client
+                    .from('price_quarantine')
+                    .select('id')
+                    .eq('status', 'quarantined'),
+                anomalyService.listQuarantined({ status: 'quarantined', limit: 10 })
             ]);
 
             const { data: commoditiesData = [], error: commoditiesError } = commoditiesResult;
@@ -535,6 +2287,25 @@ class PriceService {
                 throw latestRunError;
             }
 
+            const {
+                data: latestFxCheckData = null,
+                error: latestFxCheckError
+            } = latestFxCheckResult ?? {};
+
+            if (latestFxCheckError && latestFxCheckError.code !== 'PGRST116') {
+                throw latestFxCheckError;
+            }
+
+            const { data: pendingChangesData = [], error: pendingChangesError } = pendingChangesResult;
+            if (pendingChangesError) {
+                throw pendingChangesError;
+            }
+
+            const { data: quarantinedData = [], error: quarantinedError } = quarantinedResult;
+            if (quarantinedError) {
+                throw quarantinedError;
+            }
+
             const totalCommodities = commoditiesData.length;
             const activeCommodities = commoditiesData.filter((item) => item.is_active).length;
 
@@ -550,10 +2321,42 @@ class PriceService {
                         trigger_source: latestRunData.trigger_source,
                         status: latestRunData.status,
                         updated_commodities: latestRunData.updated_commodities,
-                        total_commodities: latestRunData.total_commodities
+                        total_commodities: latestRunData.total_commodities,
+                        exchange_rate: latestRunData.exchange_rate ?? null,
+                        exchange_rate_source: latestRunData.exchange_rate_source ?? null,
+                        fx_check: latestRunData.fx_check ?? null
+                    }
+                    : null,
+                latest_exchange_rate: latestExchangeRate,
+                // Most recent run that paused or published on a failed exchange rate check, and which rule triggered
+                exchange_rate_check: latestFxCheckData
+                    ? {
+                        run_id: latestFxCheckData.id,
+                        executed_at: latestFxCheckData.executed_at,
+                        trigger_source: latestFxCheckData.trigger_source,
+                        status: latestFxCheckData.status,
+                        action: latestFxCheckData.fx_check.action ?? null,
+                        rule: latestFxCheckData.fx_check.rule ?? null,
+                        message: latestFxCheckData.fx_check.message ?? null,
+                        is_latest_run: latestFxCheckData.id === latestRunData?.id
                     }
                     : null,
-                latest_exchange_rate: latestExchangeRate
+                pending_price_changes: (pendingChangesData || []).length,
+                quarantined_prices: (quarantinedData || []).length,
+                recent_anomalies: recentAnomalies.map(({ commodities, ...entry }) => ({
+                    id: entry.id,
+                    commodity_id: entry.commodity_id,
+                    commodity_name: commodities?.name ?? null,
+                    symbol: commodities?.symbol ?? null,
+                    price_zar: entry.price_zar,
+                    previous_price_zar: entry.previous_price_zar,
+                    change_percent: entry.change_percent,
+                    z_score: entry.z_score,
+                    rule_scope: entry.rule_scope,
+                    reason: entry.reason,
+                    trigger_source: entry.trigger_source,
+                    detected_at: entry.detected_at
+                }))
             };
         } catch (error) {
             console.error('Error generating dashboard summary:', error);
@@ -0,0 +1,179 @@
+const roundPrice = (value) => parseFloat(Number(value).toFixed(4));
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Box-Muller transform, gives a standard normal sample
+const gaussian = () => {
+    let u = 0;
+    let v = 0;
+    while (u === 0) u = Math.random();
+    while (v === 0) v = Math.random();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+};
+
+const uniformBetween = (min, max) => min + (max - min) * Math.random();
+
+const hasPreviousInRange = (previousPrice, minPrice, maxPrice) => Number.isFinite(previousPrice)
+    && previousPrice > 0
+    && previousPrice >= minPrice
+    && previousPrice <= maxPrice;
+
+class PriceStrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.defaultStrategy = String(process.env.PRICE_DEFAULT_STRATEGY || 'uniform_random').trim();
+
+        this.register('uniform_random', {
+            description: 'Uniform random value between the minimum and maximum price',
+            params: {},
+            generate: ({ minPrice, maxPrice }) => uniformBetween(minPrice, maxPrice)
+        });
+
+        this.register('random_walk', {
+            description: 'Random walk from the previous close, bounded by the price range',
+            params: {
+                volatility: { default: 0.02, min: 0, max: 1 }
+            },
+            generate: ({ minPrice, maxPrice, previousPrice, params }) => {
+                if (!hasPreviousInRange(previousPrice, minPrice, maxPrice)) {
+                    return uniformBetween(minPrice, maxPrice);
+                }
+
+                let next = previousPrice * (1 + params.volatility * gaussian());
+
+                // Reflect off the bounds so the walk does not stick to the edges of the range
+                if (next > maxPrice) {
+                    next = maxPrice - (next - maxPrice);
+                } else if (next < minPrice) {
+                    next = minPrice + (minPrice - next);
+                }
+
+                return clamp(next, minPrice, maxPrice);
+            }
+        });
+
+        this.register('mean_reversion', {
+            description: 'Pulls the previous close toward the midpoint of the price range with random noise',
+            params: {
+                speed: { default: 0.2, min: 0, max: 1 },
+                volatility: { default: 0.015, min: 0, max: 1 }
+            },
+            generate: ({ minPrice, maxPrice, previousPrice, params }) => {
+                const midpoint = (minPrice + maxPrice) / 2;
+                const start = hasPreviousInRange(previousPrice, minPrice, maxPrice) ? previousPrice : midpoint;
+                const drift = params.speed * (midpoint - start);
+                const noise = start * params.volatility * gaussian();
+
+                return clamp(start + drift + noise, minPrice, maxPrice);
+            }
+        });
+
+        this.register('hold_last', {
+            description: 'Repeats the previous close, or the range midpoint when there is none',
+            params: {},
+            generate: ({ minPrice, maxPrice, previousPrice }) => (Number.isFinite(previousPrice) && previousPrice > 0
+                ? previousPrice
+                : (minPrice + maxPrice) / 2)
+        });
+
+        // A misconfigured default would otherwise only surface when the first scheduled run needs it
+        if (!this.has(this.defaultStrategy)) {
+            throw new Error(`PRICE_DEFAULT_STRATEGY "${this.defaultStrategy}" is not a known price strategy (${[...this.strategies.keys()].join(', ')})`);
+        }
+    }
+
+    register(name, definition) {
+        if (!name || typeof definition?.generate !== 'function') {
+            throw new Error('A price strategy needs a name and a generate function');
+        }
+
+        this.strategies.set(name, {
+            name,
+            description: definition.description || '',
+            params: definition.params || {},
+            generate: definition.generate
+        });
+    }
+
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    get(name) {
+        const strategyName = name || this.defaultStrategy;
+        const strategy = this.strategies.get(strategyName);
+
+        if (!strategy) {
+            throw new Error(`Unknown price strategy "${strategyName}"`);
+        }
+
+        return strategy;
+    }
+
+    list() {
+        return [...this.strategies.values()].map((strategy) => ({
+            name: strategy.name,
+            description: strategy.description,
+            params: strategy.params,
+            is_default: strategy.name === this.defaultStrategy
+        }));
+    }
+
+    resolveParams(name, params = {}) {
+        const strategy = this.get(name);
+        const supplied = params && typeof params === 'object' ? params : {};
+        const resolved = {};
+
+        Object.entries(strategy.params).forEach(([key, spec]) => {
+            const raw = supplied[key];
+
+            if (raw === undefined || raw === null || raw === '') {
+                resolved[key] = spec.default;
+                return;
+            }
+
+            const value = Number(raw);
+            if (!Number.isFinite(value)) {
+                throw new Error(`Strategy parameter "${key}" must be a number`);
+            }
+
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                throw new Error(`Strategy parameter "${key}" must be between ${spec.min} and ${spec.max}`);
+            }
+
+            resolved[key] = value;
+        });
+
+        const unknown = Object.keys(supplied).filter((key) => !(key in strategy.params));
+        if (unknown.length > 0) {
+            throw new Error(`Unsupported parameters for ${strategy.name}: ${unknown.join(', ')}`);
+        }
+
+        return resolved;
+    }
+
+    generate(name, { minPrice, maxPrice, previousPrice = null, params = {} }) {
+        const strategy = this.get(name);
+        const resolvedParams = this.resolveParams(strategy.name, params);
+        const previous = previousPrice === null || previousPrice === undefined ? NaN : Number(previousPrice);
+
+        const price = strategy.generate({
+            minPrice: Number(minPrice),
+            maxPrice: Number(maxPrice),
+            previousPrice: previous,
+            params: resolvedParams
+        });
+
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new Error(`Price strategy ${strategy.name} produced an invalid price`);
+        }
+
+        return {
+            price: roundPrice(price),
+            strategy: strategy.name,
+            params: resolvedParams
+        };
+    }
+}
+
+module.exports = new PriceStrategyRegistry();
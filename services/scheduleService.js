@@ -0,0 +1,294 @@
+const cron = require('node-cron');
+const supabase = require('../supabase');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+class ScheduleService {
+    constructor() {
+        this.defaultTime = process.env.PRICE_UPDATE_TIME || '09:00';
+        this.defaultTimezone = process.env.PRICE_UPDATE_TIMEZONE || 'Africa/Johannesburg';
+        this.refreshIntervalMs = Number(process.env.PRICE_SCHEDULE_REFRESH_MS || 1000 * 60);
+        this.tasks = [];
+        this.signature = null;
+        this.handler = null;
+        this.refreshTimer = null;
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    buildCronExpression(time, daysOfWeek = null) {
+        const match = TIME_PATTERN.exec(String(time || '').trim());
+        let hour = 9;
+        let minute = 0;
+
+        if (match) {
+            hour = Number.parseInt(match[1], 10);
+            minute = Number.parseInt(match[2], 10);
+        } else {
+            console.warn(`Invalid price update time "${time}" supplied. Falling back to 09:00.`);
+        }
+
+        const days = Array.isArray(daysOfWeek) && daysOfWeek.length > 0
+            ? [...new Set(daysOfWeek)].sort((a, b) => a - b).join(',')
+            : '*';
+
+        return `${minute} ${hour} * * ${days}`;
+    }
+
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    defaultSchedule() {
+        return {
+            id: 'default',
+            name: 'Default (environment)',
+            run_time: this.defaultTime,
+            days_of_week: null,
+            timezone: this.defaultTimezone,
+            category_id: null,
+            is_active: true
+        };
+    }
+
+    validateSchedule(input = {}, { partial = false } = {}) {
+        const errors = [];
+        const values = {};
+
+        if (input.name !== undefined) {
+            values.name = String(input.name).trim();
+        }
+        if (!partial && !values.name) {
+            errors.push('Name is required');
+        }
+
+        if (input.run_time !== undefined || !partial) {
+            if (!TIME_PATTERN.test(String(input.run_time || '').trim())) {
+                errors.push('run_time must be in HH:MM format');
+            } else {
+                const [hours, minutes] = String(input.run_time).trim().split(':');
+                values.run_time = `${hours.padStart(2, '0')}:${minutes}`;
+            }
+        }
+
+        if (input.days_of_week !== undefined) {
+            if (input.days_of_week === null || input.days_of_week === 'daily') {
+                values.days_of_week = null;
+            } else if (input.days_of_week === 'weekdays') {
+                values.days_of_week = WEEKDAYS;
+            } else if (Array.isArray(input.days_of_week)
+                && input.days_of_week.length > 0
+                && input.days_of_week.every((day) => Number.isInteger(Number(day)) && Number(day) >= 0 && Number(day) <= 6)) {
+                values.days_of_week = [...new Set(input.days_of_week.map(Number))].sort((a, b) => a - b);
+            } else {
+                errors.push('days_of_week must be "daily", "weekdays" or an array of day numbers (0 = Sunday)');
+            }
+        }
+
+        if (input.timezone !== undefined) {
+            if (!this.isValidTimezone(input.timezone)) {
+                errors.push(`Unknown timezone "${input.timezone}"`);
+            } else {
+                values.timezone = input.timezone;
+            }
+        }
+
+        if (input.category_id !== undefined) {
+            values.category_id = input.category_id || null;
+        }
+
+        if (input.is_active !== undefined) {
+            values.is_active = Boolean(input.is_active);
+        }
+
+        return { errors, values };
+    }
+
+    async listSchedules() {
+        const { data, error } = await this.adminClient()
+            .from('price_update_schedules')
+            .select('id, name, run_time, days_of_week, timezone, category_id, is_active, created_by, created_at, updated_at')
+            .order('run_time', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getSchedule(id) {
+        const { data, error } = await this.adminClient()
+            .from('price_update_schedules')
+            .select('id, name, run_time, days_of_week, timezone, category_id, is_active, created_by, created_at, updated_at')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    async createSchedule(values, createdBy = null) {
+        const { data, error } = await this.adminClient()
+            .from('price_update_schedules')
+            .insert({
+                timezone: this.defaultTimezone,
+                days_of_week: null,
+                category_id: null,
+                is_active: true,
+                ...values,
+                created_by: createdBy
+            })
+            .select('id, name, run_time, days_of_week, timezone, category_id, is_active, created_by, created_at, updated_at')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await this.reload();
+        return data;
+    }
+
+    async updateSchedule(id, values) {
+        const { data, error } = await this.adminClient()
+            .from('price_update_schedules')
+            .update({
+                ...values,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select('id, name, run_time, days_of_week, timezone, category_id, is_active, created_by, created_at, updated_at')
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (data) {
+            await this.reload();
+        }
+
+        return data ?? null;
+    }
+
+    async deleteSchedule(id) {
+        const { data, error } = await this.adminClient()
+            .from('price_update_schedules')
+            .delete()
+            .eq('id', id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        if (data && data.length > 0) {
+            await this.reload();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Falls back to the PRICE_UPDATE_TIME schedule while no schedules are stored in the database
+    async loadActiveSchedules() {
+        const schedules = await this.listSchedules();
+        if (schedules.length === 0) {
+            return [this.defaultSchedule()];
+        }
+
+        return schedules.filter((schedule) => schedule.is_active);
+    }
+
+    scheduleSignature(schedules) {
+        return JSON.stringify(schedules.map((schedule) => [
+            schedule.id,
+            schedule.run_time,
+            schedule.days_of_week,
+            schedule.timezone,
+            schedule.category_id
+        ]));
+    }
+
+    register(schedules) {
+        this.tasks.forEach(({ task }) => task.destroy());
+
+        this.tasks = schedules.map((schedule) => {
+            const expression = this.buildCronExpression(schedule.run_time, schedule.days_of_week);
+            const task = cron.schedule(expression, () => this.handler(schedule), {
+                timezone: schedule.timezone || this.defaultTimezone,
+                name: `price-update-${schedule.id}`
+            });
+
+            return { schedule, expression, task };
+        });
+
+        this.signature = this.scheduleSignature(schedules);
+        console.log(`Registered ${this.tasks.length} price update schedule(s): ${this.tasks
+            .map(({ schedule, expression }) => `${schedule.name} [${expression} ${schedule.timezone || this.defaultTimezone}]`)
+            .join(', ')}`);
+    }
+
+    async reload() {
+        if (!this.handler) {
+            return;
+        }
+
+        try {
+            this.register(await this.loadActiveSchedules());
+        } catch (error) {
+            console.error('Failed to reload price update schedules:', error);
+            if (this.tasks.length === 0) {
+                this.register([this.defaultSchedule()]);
+            }
+        }
+    }
+
+    // Picks up schedule changes made through another instance
+    async refreshIfChanged() {
+        try {
+            const schedules = await this.loadActiveSchedules();
+            if (this.scheduleSignature(schedules) !== this.signature) {
+                console.log('Price update schedules changed, re-registering cron jobs');
+                this.register(schedules);
+            }
+        } catch (error) {
+            console.error('Failed to refresh price update schedules:', error);
+        }
+    }
+
+    async start(handler) {
+        this.handler = handler;
+        await this.reload();
+
+        if (!this.refreshTimer && this.refreshIntervalMs > 0) {
+            this.refreshTimer = setInterval(() => this.refreshIfChanged(), this.refreshIntervalMs);
+            this.refreshTimer.unref();
+        }
+    }
+
+    getRegistrations() {
+        return this.tasks.map(({ schedule, expression, task }) => ({
+            schedule_id: schedule.id,
+            name: schedule.name,
+            cron_expression: expression,
+            timezone: schedule.timezone || this.defaultTimezone,
+            category_id: schedule.category_id ?? null,
+            next_run: task.getNextRun()?.toISOString?.() ?? null
+        }));
+    }
+}
+
+module.exports = new ScheduleService();
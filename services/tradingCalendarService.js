@@ -0,0 +1,257 @@
+const supabase = require('../supabase');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ZA_FIXED_HOLIDAYS = [
+    ['01-01', "New Year's Day"],
+    ['03-21', 'Human Rights Day'],
+    ['04-27', 'Freedom Day'],
+    ['05-01', "Workers' Day"],
+    ['06-16', 'Youth Day'],
+    ['08-09', "National Women's Day"],
+    ['09-24', 'Heritage Day'],
+    ['12-16', 'Day of Reconciliation'],
+    ['12-25', 'Christmas Day'],
+    ['12-26', 'Day of Goodwill']
+];
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+class TradingCalendarService {
+    constructor() {
+        this.timezone = process.env.PRICE_UPDATE_TIMEZONE || 'Africa/Johannesburg';
+        this.builtInCache = new Map();
+    }
+
+    adminClient() {
+        return supabase.getAdminClient();
+    }
+
+    isValidDate(value) {
+        return DATE_PATTERN.test(String(value || '')) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+    }
+
+    // Calendar date in the market timezone, which can differ from the UTC date around midnight
+    localDate(date = new Date()) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    isWeekend(dateString) {
+        const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+        return day === 0 || day === 6;
+    }
+
+    // South African public holidays; a holiday on a Sunday moves to the Monday (Public Holidays Act)
+    getBuiltInHolidays(year) {
+        if (this.builtInCache.has(year)) {
+            return this.builtInCache.get(year);
+        }
+
+        const holidays = new Map();
+        const easter = easterSunday(year);
+
+        ZA_FIXED_HOLIDAYS.forEach(([monthDay, name]) => {
+            holidays.set(`${year}-${monthDay}`, name);
+        });
+        holidays.set(addDays(easter, -2), 'Good Friday');
+        holidays.set(addDays(easter, 1), 'Family Day');
+
+        [...holidays.entries()].forEach(([date, name]) => {
+            if (new Date(`${date}T00:00:00Z`).getUTCDay() === 0) {
+                let observed = addDays(date, 1);
+                while (holidays.has(observed)) {
+                    observed = addDays(observed, 1);
+                }
+                holidays.set(observed, `${name} (observed)`);
+            }
+        });
+
+        this.builtInCache.set(year, holidays);
+        return holidays;
+    }
+
+    async listOverrides({ from = null, to = null } = {}) {
+        let query = this.adminClient()
+            .from('trading_calendar')
+            .select('id, calendar_date, name, is_trading_day, notes, created_by, created_at, updated_at')
+            .order('calendar_date', { ascending: true });
+
+        if (from) {
+            query = query.gte('calendar_date', from);
+        }
+        if (to) {
+            query = query.lte('calendar_date', to);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async getOverride(dateString) {
+        const { data, error } = await this.adminClient()
+            .from('trading_calendar')
+            .select('id, calendar_date, name, is_trading_day, notes')
+            .eq('calendar_date', dateString)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        return data ?? null;
+    }
+
+    describeDay(dateString, override = null) {
+        if (override) {
+            return {
+                date: dateString,
+                is_trading_day: Boolean(override.is_trading_day),
+                reason: override.is_trading_day ? null : override.name || 'Market closed',
+                source: 'override'
+            };
+        }
+
+        const holiday = this.getBuiltInHolidays(Number(dateString.slice(0, 4))).get(dateString);
+        if (holiday) {
+            return { date: dateString, is_trading_day: false, reason: holiday, source: 'za_public_holiday' };
+        }
+
+        if (this.isWeekend(dateString)) {
+            return { date: dateString, is_trading_day: false, reason: 'Weekend', source: 'weekend' };
+        }
+
+        return { date: dateString, is_trading_day: true, reason: null, source: 'default' };
+    }
+
+    async checkDate(dateString = this.localDate()) {
+        const override = await this.getOverride(dateString);
+        return this.describeDay(dateString, override);
+    }
+
+    async getTradingDays(from, to) {
+        const overrides = new Map((await this.listOverrides({ from, to }))
+            .map((override) => [override.calendar_date, override]));
+        const days = [];
+
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            days.push(this.describeDay(date, overrides.get(date)));
+        }
+
+        return days;
+    }
+
+    // Non-trading days of a year: built-in holidays, weekends left out, with admin overrides applied
+    async getCalendar(year) {
+        const from = `${year}-01-01`;
+        const to = `${year}-12-31`;
+        const overrides = await this.listOverrides({ from, to });
+        const overridesByDate = new Map(overrides.map((override) => [override.calendar_date, override]));
+
+        const holidays = [...this.getBuiltInHolidays(year).entries()].map(([date, name]) => ({
+            date,
+            name,
+            is_trading_day: overridesByDate.has(date) ? Boolean(overridesByDate.get(date).is_trading_day) : false,
+            source: 'za_public_holiday',
+            override_id: overridesByDate.get(date)?.id ?? null
+        }));
+
+        const builtInDates = new Set(holidays.map((holiday) => holiday.date));
+        const custom = overrides
+            .filter((override) => !builtInDates.has(override.calendar_date))
+            .map((override) => ({
+                date: override.calendar_date,
+                name: override.name,
+                is_trading_day: Boolean(override.is_trading_day),
+                source: 'override',
+                override_id: override.id
+            }));
+
+        return [...holidays, ...custom].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+
+    // Editing an override keeps its original author; created_by is only set when the date is first added
+    async upsertOverride({ date, name, isTradingDay = false, notes = null }, userId = null) {
+        const client = this.adminClient();
+        const { data: existing, error: lookupError } = await client
+            .from('trading_calendar')
+            .select('id')
+            .eq('calendar_date', date)
+            .maybeSingle();
+
+        if (lookupError) {
+            throw lookupError;
+        }
+
+        const fields = {
+            calendar_date: date,
+            name,
+            is_trading_day: isTradingDay,
+            notes,
+            updated_at: new Date().toISOString()
+        };
+        const write = existing
+            ? client.from('trading_calendar').update(fields).eq('id', existing.id)
+            : client.from('trading_calendar').insert({ ...fields, created_by: userId });
+
+        const { data, error } = await write
+            .select('id, calendar_date, name, is_trading_day, notes, created_by, created_at, updated_at')
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    async deleteOverride(id) {
+        const { data, error } = await this.adminClient()
+            .from('trading_calendar')
+            .delete()
+            .eq('id', id)
+            .select('id');
+
+        if (error) {
+            throw error;
+        }
+
+        return Boolean(data && data.length > 0);
+    }
+}
+
+module.exports = new TradingCalendarService();
@@ -0,0 +1,58 @@
+-- Applies a validated bulk price import as one transaction: small range edits, pending changes for a second admin
+-- (superseding older pending requests of the same kind), and the logged run with its items. Any failure rolls
+-- back every write, so an import is either recorded in full or not at all.
+create or replace function apply_price_import(
+    p_ranges jsonb,
+    p_changes jsonb,
+    p_run jsonb,
+    p_items jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_now timestamptz := now();
+    v_run_id price_update_runs.id%type;
+    v_changes jsonb;
+begin
+    insert into price_ranges (commodity_id, min_price_zar, max_price_zar, min_price_usd, max_price_usd, is_active, updated_by, updated_at)
+    select r.commodity_id, r.min_price_zar, r.max_price_zar, r.min_price_usd, r.max_price_usd, true, r.updated_by, v_now
+    from jsonb_populate_recordset(null::price_ranges, coalesce(p_ranges, '[]'::jsonb)) r
+    on conflict (commodity_id) do update set
+        min_price_zar = excluded.min_price_zar,
+        max_price_zar = excluded.max_price_zar,
+        min_price_usd = excluded.min_price_usd,
+        max_price_usd = excluded.max_price_usd,
+        is_active = true,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at;
+
+    with created as (
+        insert into price_change_requests (commodity_id, change_type, payload, status, requested_by, requested_at)
+        select c.commodity_id, c.change_type, c.payload, 'pending', c.requested_by, v_now
+        from jsonb_populate_recordset(null::price_change_requests, coalesce(p_changes, '[]'::jsonb)) c
+        returning id, commodity_id, change_type
+    ), superseded as (
+        update price_change_requests pending
+        set status = 'superseded', reviewed_at = v_now
+        from created
+        where pending.commodity_id = created.commodity_id
+            and pending.change_type = created.change_type
+            and pending.status = 'pending'
+            and pending.id not in (select id from created)
+    )
+    select coalesce(jsonb_agg(jsonb_build_object('id', id, 'commodity_id', commodity_id, 'change_type', change_type)), '[]'::jsonb)
+    into v_changes
+    from created;
+
+    insert into price_update_runs (executed_at, triggered_by, trigger_source, total_commodities, updated_commodities, status, notes, exchange_rate)
+    select v_now, r.triggered_by, r.trigger_source, r.total_commodities, r.updated_commodities, r.status, r.notes, r.exchange_rate
+    from jsonb_populate_record(null::price_update_runs, p_run) r
+    returning id into v_run_id;
+
+    insert into price_update_run_items (run_id, commodity_id, status, exchange_rate, strategy, new_price_zar, new_price_usd, reason)
+    select v_run_id, i.commodity_id, i.status, i.exchange_rate, i.strategy, i.new_price_zar, i.new_price_usd, i.reason
+    from jsonb_populate_recordset(null::price_update_run_items, coalesce(p_items, '[]'::jsonb)) i;
+
+    return jsonb_build_object('run_id', v_run_id, 'changes', v_changes);
+end;
+$$;
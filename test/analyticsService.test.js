@@ -0,0 +1,118 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const analyticsService = require('../services/analyticsService');
+const priceService = require('../services/priceService');
+
+const points = (closes, startDate = '2026-01-01') => closes.map((close, index) => {
+    const date = new Date(`${startDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + index);
+    return { recorded_date: date.toISOString().split('T')[0], close };
+});
+
+test('the simple moving average starts once the window is full', () => {
+    assert.deepEqual(analyticsService.simpleMovingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('the exponential moving average is seeded with the simple average', () => {
+    assert.deepEqual(analyticsService.exponentialMovingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assert.deepEqual(analyticsService.exponentialMovingAverage([2, 4, 6, 2], 2), [null, 3, 5, 3]);
+});
+
+test('daily returns are relative to the previous close', () => {
+    assert.deepEqual(analyticsService.dailyReturns([100, 110, 99, 0, 5]), [null, 0.1, -0.1, -1, null]);
+});
+
+test('volatility is the annualised sample deviation of the window of returns', () => {
+    const returns = [null, 0.01, -0.01, 0.01, -0.01];
+    const volatility = analyticsService.rollingVolatility(returns, 2, 4);
+
+    assert.deepEqual(volatility.slice(0, 2), [null, null]);
+    // Sample deviation of [0.01, -0.01] is 0.01 * sqrt(2), annualised over 4 periods doubles it
+    volatility.slice(2).forEach((value) => assert.ok(Math.abs(value - 0.02 * Math.SQRT2) < 1e-12));
+});
+
+test('the maximum drawdown reports its peak, trough and recovery', () => {
+    assert.deepEqual(analyticsService.maxDrawdown(points([100, 120, 90, 100, 125, 110])), {
+        percent: -25,
+        peak_date: '2026-01-02',
+        trough_date: '2026-01-03',
+        recovery_date: '2026-01-05'
+    });
+});
+
+test('a drawdown that has not recovered has no recovery date', () => {
+    assert.deepEqual(analyticsService.maxDrawdown(points([100, 80, 90])), {
+        percent: -20,
+        peak_date: '2026-01-01',
+        trough_date: '2026-01-02',
+        recovery_date: null
+    });
+    assert.equal(analyticsService.maxDrawdown(points([1, 2, 3])).percent, 0);
+});
+
+test('a period change measures from the last close on or before the target date', () => {
+    const series = points([100, 101, 102, 103, 104, 105, 106, 107, 110], '2026-01-01');
+
+    assert.deepEqual(analyticsService.periodChange(series, 7), {
+        from_date: '2026-01-02',
+        from_close: 101,
+        change_percent: 8.91
+    });
+    assert.equal(analyticsService.periodChange(series, 30), null);
+    assert.equal(analyticsService.periodChange([], 7), null);
+});
+
+test('windows are parsed, de-duplicated and bounded', () => {
+    assert.deepEqual(analyticsService.parseWindows('50, 20,20', [5]), { windows: [20, 50] });
+    assert.deepEqual(analyticsService.parseWindows(undefined, [5]), { windows: [5] });
+    assert.ok(analyticsService.parseWindows('1', [5]).error);
+    assert.ok(analyticsService.parseWindows('2,3,4,5,6,7', [5]).error);
+    assert.ok(analyticsService.parseWindows('2.5', [5]).error);
+});
+
+// Compares commodities whose ZAR closes are given per date; null leaves a date without a close
+const useComparison = (t, closesBySymbol) => {
+    const symbols = Object.keys(closesBySymbol);
+    t.mock.method(priceService, 'resolveCommodities', async () => ({
+        commodities: symbols.map((symbol) => ({ id: symbol, symbol, name: symbol, unit: 'ton' })),
+        missing: []
+    }));
+    t.mock.method(priceService, 'resolvePeriod', async () => ({ since: '2026-01-01', until: '2026-01-31', trading_days: 22 }));
+    t.mock.method(analyticsService, 'loadCloses', async (commodityId) => points(closesBySymbol[commodityId])
+        .filter((point) => point.close !== null)
+        .map((point) => ({ recorded_date: point.recorded_date, price_zar: point.close })));
+};
+
+test('compared series are aligned on shared dates and rebased to 100', async (t) => {
+    useComparison(t, { A: [100, 110, null, 120], B: [50, 55, 60, 45] });
+    const result = await analyticsService.compare({ identifiers: ['A', 'B'], currency: 'zar', period: '30d' });
+
+    assert.equal(result.aligned_dates, 3);
+    assert.deepEqual(result.series[0].points.map((point) => point.rebased), [100, 110, 120]);
+    assert.deepEqual(result.series[1].points.map((point) => point.rebased), [100, 110, 90]);
+    assert.equal(result.series[0].observations, 3);
+    assert.equal(result.series[1].observations, 4);
+});
+
+test('returns that move together correlate fully and opposite moves negatively', async (t) => {
+    useComparison(t, {
+        A: [100, 110, 99, 108.9, 98.01],
+        B: [10, 11, 9.9, 10.89, 9.801],
+        C: [100, 90, 99, 89.1, 98.01]
+    });
+    const { correlation } = await analyticsService.compare({ identifiers: ['A', 'B', 'C'], currency: 'zar', period: '30d' });
+
+    assert.equal(correlation.observations, 4);
+    assert.deepEqual(correlation.symbols, ['A', 'B', 'C']);
+    assert.deepEqual(correlation.matrix, [[1, 1, -1], [1, 1, -1], [-1, -1, 1]]);
+});
+
+test('too few returns give no correlation', async (t) => {
+    useComparison(t, { A: [100, 110, 120], B: [50, 55, 45] });
+    const { correlation } = await analyticsService.compare({ identifiers: ['A', 'B'], currency: 'zar', period: '30d' });
+
+    assert.deepEqual(correlation.matrix, [[null, null], [null, null]]);
+});
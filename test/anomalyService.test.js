@@ -0,0 +1,81 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const anomalyService = require('../services/anomalyService');
+
+const closesFrom = (prices) => prices.map((price, index) => ({
+    recorded_date: `2026-10-${String(index + 1).padStart(2, '0')}`,
+    price_zar: price
+}));
+
+const rule = (overrides = {}) => ({
+    id: 'rule-1',
+    scope: 'commodity',
+    max_change_percent: null,
+    max_z_score: null,
+    lookback_days: 30,
+    ...overrides
+});
+
+test('the most specific rule wins', () => {
+    const rules = [
+        { id: 'global', max_change_percent: 50 },
+        { id: 'category', category_id: 'oils', max_change_percent: 20 },
+        { id: 'commodity', commodity_id: 'palm', max_change_percent: '5', lookback_days: 10 }
+    ];
+
+    assert.equal(anomalyService.resolveRule(rules, 'palm', 'oils').scope, 'commodity');
+    assert.equal(anomalyService.resolveRule(rules, 'palm', 'oils').max_change_percent, 5);
+    assert.equal(anomalyService.resolveRule(rules, 'soy', 'oils').id, 'category');
+    assert.equal(anomalyService.resolveRule(rules, 'soy', 'fats').scope, 'global');
+    assert.equal(anomalyService.resolveRule([], 'soy', 'fats'), anomalyService.defaultRule);
+});
+
+test('a rule without thresholds is disabled', () => {
+    assert.equal(anomalyService.isEnabled(rule()), false);
+    assert.equal(anomalyService.evaluate(rule(), { previousPriceZar: 100, newPriceZar: 1000 }), null);
+});
+
+test('a move beyond the change limit is flagged', () => {
+    const breach = anomalyService.evaluate(rule({ max_change_percent: 10 }), { previousPriceZar: 100, newPriceZar: 85 });
+
+    assert.equal(breach.change_percent, -15);
+    assert.equal(breach.rule_id, 'rule-1');
+    assert.match(breach.reason, /Move of -15% exceeds the 10% limit/);
+    assert.equal(anomalyService.evaluate(rule({ max_change_percent: 10 }), { previousPriceZar: 100, newPriceZar: 110 }), null);
+});
+
+test('there is nothing to compare without a previous price', () => {
+    assert.equal(anomalyService.evaluate(rule({ max_change_percent: 1 }), { previousPriceZar: null, newPriceZar: 100 }), null);
+});
+
+test('the z-score measures the move against recent daily returns', () => {
+    // Returns alternate between +1% and -1%: mean 0, sample deviation about 1.04%
+    const closes = closesFrom([100, 101, 99.99, 100.9899, 99.980001, 100.97980101, 99.9700030]);
+    const zScore = anomalyService.zScore(closes, 100, 105);
+
+    assert.ok(zScore > 4.5 && zScore < 5, `z-score was ${zScore}`);
+});
+
+test('the z-score needs enough returns and some variation', () => {
+    assert.equal(anomalyService.zScore(closesFrom([100, 101, 102]), 102, 110), null);
+    assert.equal(anomalyService.zScore(closesFrom([100, 100, 100, 100, 100, 100, 100]), 100, 110), null);
+});
+
+test('an unusual move is flagged by its z-score', () => {
+    const closes = closesFrom([100, 101, 99.99, 100.9899, 99.980001, 100.97980101, 99.9700030]);
+    const breach = anomalyService.evaluate(rule({ max_z_score: 3 }), { previousPriceZar: 100, newPriceZar: 105, closes });
+
+    assert.ok(breach.z_score > 3);
+    assert.match(breach.reason, /Z-score of .* exceeds the limit of 3 over 30 days/);
+    assert.equal(anomalyService.evaluate(rule({ max_z_score: 3 }), { previousPriceZar: 100, newPriceZar: 101, closes }), null);
+});
+
+test('both limits are reported when both are breached', () => {
+    const closes = closesFrom([100, 101, 99.99, 100.9899, 99.980001, 100.97980101, 99.9700030]);
+    const breach = anomalyService.evaluate(rule({ max_change_percent: 2, max_z_score: 3 }), { previousPriceZar: 100, newPriceZar: 105, closes });
+
+    assert.equal(breach.reason.split('; ').length, 2);
+});
@@ -0,0 +1,157 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const currencyService = require('../services/currencyService');
+
+const history = (...entries) => entries.map(([recordedAt, rate]) => ({ recorded_at: recordedAt, rate }));
+
+test('each date takes the last rate recorded by the end of that day', () => {
+    const rates = currencyService.stepDailyRates(history(
+        ['2026-10-05T08:00:00Z', 18],
+        ['2026-10-05T15:00:00Z', 18.2],
+        ['2026-10-07T09:00:00Z', 18.5]
+    ), ['2026-10-04', '2026-10-05', '2026-10-06', '2026-10-07']);
+
+    // The first date predates every stored rate, so it uses the earliest one
+    assert.deepEqual([...rates.entries()], [
+        ['2026-10-04', 18],
+        ['2026-10-05', 18.2],
+        ['2026-10-06', 18.2],
+        ['2026-10-07', 18.5]
+    ]);
+});
+
+test('daily rates come from the stored history of the pair', async (t) => {
+    t.mock.method(currencyService, 'loadPairHistory', async (from, to) => (from === 'ZAR' && to === 'EUR'
+        ? history(['2026-10-05T08:00:00Z', 0.05], ['2026-10-06T08:00:00Z', 0.051])
+        : []));
+    const rates = await currencyService.getDailyRates('zar', 'eur', ['2026-10-06', '2026-10-05', '2026-10-06']);
+
+    assert.deepEqual([...rates.entries()], [['2026-10-05', 0.05], ['2026-10-06', 0.051]]);
+});
+
+test('daily rates cross through a pivot when the pair has no history', async (t) => {
+    t.mock.method(currencyService, 'loadPairHistory', async (from, to) => {
+        if (from === 'ZAR' && to === 'USD') {
+            return history(['2026-10-05T08:00:00Z', 0.05], ['2026-10-06T08:00:00Z', 0.06]);
+        }
+        if (from === 'USD' && to === 'GBP') {
+            return history(['2026-10-05T08:00:00Z', 0.8]);
+        }
+        return [];
+    });
+    const rates = await currencyService.getDailyRates('ZAR', 'GBP', ['2026-10-05', '2026-10-06']);
+
+    assert.ok(Math.abs(rates.get('2026-10-05') - 0.04) < 1e-12);
+    assert.ok(Math.abs(rates.get('2026-10-06') - 0.048) < 1e-12);
+});
+
+test('a currency converts to itself at one', async () => {
+    assert.deepEqual([...(await currencyService.getDailyRates('USD', 'usd', ['2026-10-05'])).entries()], [['2026-10-05', 1]]);
+});
+
+test('a cross rate multiplies its legs through the pivot', async (t) => {
+    const fetchedAt = Date.parse('2026-10-05T08:00:00Z');
+    currencyService.rateTableCache.set('USD', { provider: 'test', fetchedAt, rates: { ZAR: 20, EUR: 0.9 } });
+    t.after(() => currencyService.rateTableCache.clear());
+
+    const cross = await currencyService.triangulateRate('ZAR', 'EUR');
+
+    assert.equal(cross.pivot, 'USD');
+    assert.equal(cross.rate, 0.045);
+    assert.deepEqual(cross.legs.map((leg) => [leg.from, leg.to, leg.rate, leg.inverted]), [
+        ['ZAR', 'USD', 0.05, true],
+        ['USD', 'EUR', 0.9, false]
+    ]);
+    assert.equal(cross.recorded_at, new Date(fetchedAt).toISOString());
+});
+
+test('the freshest pivot wins and a cross rate is as old as its oldest leg', async (t) => {
+    const pivotCurrencies = currencyService.pivotCurrencies;
+    currencyService.pivotCurrencies = ['USD', 'EUR'];
+    t.after(() => {
+        currencyService.pivotCurrencies = pivotCurrencies;
+    });
+    const legs = {
+        'ZAR-USD': { rate: 0.05, recorded_at: '2026-10-05T08:00:00Z' },
+        'USD-GBP': { rate: 0.8, recorded_at: '2026-10-01T08:00:00Z' },
+        'ZAR-EUR': { rate: 0.046, recorded_at: '2026-10-04T08:00:00Z' },
+        'EUR-GBP': { rate: 0.87, recorded_at: '2026-10-04T09:00:00Z' }
+    };
+    t.mock.method(currencyService, 'findStoredLeg', async (from, to) => (legs[`${from}-${to}`]
+        ? { from, to, ...legs[`${from}-${to}`], inverted: false }
+        : null));
+
+    const cross = await currencyService.triangulateRate('ZAR', 'GBP', { window: { since: '2026-09-01T00:00:00Z' } });
+
+    assert.equal(cross.pivot, 'EUR');
+    assert.equal(cross.rate, 0.04002);
+    assert.equal(cross.recorded_at, '2026-10-04T08:00:00Z');
+});
+
+test('there is no cross rate when a leg is missing', async (t) => {
+    t.mock.method(currencyService, 'findStoredLeg', async (from, to) => (from === 'ZAR' && to === 'USD'
+        ? { from, to, rate: 0.05, recorded_at: '2026-10-05T08:00:00Z', inverted: false }
+        : null));
+
+    assert.equal(await currencyService.triangulateRate('ZAR', 'GBP', { window: { since: '2026-09-01T00:00:00Z' } }), null);
+});
+
+const resolvedRate = (overrides = {}) => ({
+    from_currency: 'ZAR',
+    to_currency: 'USD',
+    rate: 0.055,
+    source: 'exchangerate_api',
+    reference_rate: 0.054,
+    deviation_percent: 1.8519,
+    age_hours: 2,
+    ...overrides
+});
+
+const useLimits = (t, limits = { max_deviation_percent: 5, max_age_hours: 48 }) => {
+    const rateChecks = currencyService.rateChecks;
+    currencyService.rateChecks = limits;
+    t.after(() => {
+        currencyService.rateChecks = rateChecks;
+    });
+};
+
+test('a fresh rate close to the last known one passes its checks', (t) => {
+    useLimits(t);
+    const check = currencyService.checkRate(resolvedRate());
+
+    assert.equal(check.passed, true);
+    assert.equal(check.rule, null);
+    assert.equal(check.pair, 'ZAR→USD');
+});
+
+test('the first failing rule is reported as the trigger', (t) => {
+    useLimits(t);
+    const check = currencyService.checkRate(resolvedRate({ deviation_percent: 12, age_hours: 72 }));
+
+    assert.equal(check.passed, false);
+    assert.equal(check.rule, 'max_deviation');
+    assert.deepEqual(check.failures.map((failure) => failure.rule), ['max_deviation', 'max_age']);
+});
+
+test('the configured fallback and a missing rate never pass', () => {
+    assert.equal(currencyService.checkRate(resolvedRate({ source: 'fallback' })).rule, 'fallback_rate');
+    assert.equal(currencyService.checkRate(null, 'zar', 'usd').message, 'No exchange rate available for ZAR→USD');
+});
+
+test('a manual override is not held to the age limit', (t) => {
+    useLimits(t);
+    assert.equal(currencyService.checkRate(resolvedRate({ source: 'manual_override', age_hours: 500 })).passed, true);
+});
+
+test('an empty limit disables its check', (t) => {
+    useLimits(t, { max_deviation_percent: null, max_age_hours: null });
+    assert.equal(currencyService.checkRate(resolvedRate({ deviation_percent: 80, age_hours: 500 })).passed, true);
+});
+
+test('the deviation is measured against the reference rate', () => {
+    assert.equal(currencyService.deviationPercent(0.05, 0.055), 10);
+    assert.equal(currencyService.deviationPercent(null, 0.055), null);
+});
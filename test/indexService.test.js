@@ -0,0 +1,112 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const indexService = require('../services/indexService');
+const tradingCalendarService = require('../services/tradingCalendarService');
+
+// Monday 5 to Friday 9 October 2026, with no public holidays
+const DAYS = ['2026-10-05', '2026-10-06', '2026-10-07', '2026-10-08', '2026-10-09'];
+
+const index = (constituents, overrides = {}) => ({
+    id: 'index-1',
+    code: 'TEST',
+    base_date: DAYS[0],
+    base_value: 100,
+    constituents,
+    ...overrides
+});
+
+// Serves closes from an in-memory price list: { commodityId: [priceZar per day, or null] }, USD at a fixed 20 to 1
+const useCloses = (t, prices) => {
+    const closesFor = (commodityId) => (prices[commodityId] || [])
+        .map((priceZar, day) => (priceZar === null ? null : {
+            commodity_id: commodityId,
+            recorded_date: DAYS[day],
+            price_zar: priceZar,
+            price_usd: priceZar / 20
+        }))
+        .filter(Boolean);
+
+    t.mock.method(tradingCalendarService, 'listOverrides', async () => []);
+    t.mock.method(indexService, 'loadCloses', async (commodityIds, from, to) => new Map(commodityIds.map((commodityId) => [
+        commodityId,
+        closesFor(commodityId).filter((close) => (!from || close.recorded_date >= from) && close.recorded_date <= to)
+    ])));
+    t.mock.method(indexService, 'loadReferenceCloses', async (constituents) => new Map(constituents
+        .map((constituent) => [constituent.commodity_id, closesFor(constituent.commodity_id)[0]])
+        .filter(([, close]) => close)));
+};
+
+test('levels are the weighted average of prices relative to their base close', async (t) => {
+    useCloses(t, { a: [100, 110, 120], b: [50, 45, 50] });
+    const { levels, missing_base: missingBase } = await indexService.computeLevels(
+        index([{ commodity_id: 'a', weight: 3 }, { commodity_id: 'b', weight: 1 }]),
+        DAYS[0],
+        DAYS[2]
+    );
+
+    assert.deepEqual(missingBase, []);
+    assert.deepEqual(levels.map((level) => [level.recorded_date, level.level_zar, level.level_usd, level.constituents_used]), [
+        ['2026-10-05', 100, 100, 2],
+        ['2026-10-06', 105, 105, 2],
+        ['2026-10-07', 115, 115, 2]
+    ]);
+});
+
+test('a constituent joining later does not move the level', async (t) => {
+    useCloses(t, { a: [100, 110, 110, 121], b: [null, null, 40, 40] });
+    const { levels } = await indexService.computeLevels(
+        index([{ commodity_id: 'a', weight: 1 }, { commodity_id: 'b', weight: 1 }]),
+        DAYS[0],
+        DAYS[3]
+    );
+
+    assert.deepEqual(levels.map((level) => [level.level_zar, level.constituents_used]), [
+        [100, 1],
+        [110, 1],
+        [110, 2],
+        // a rises 10% and b is flat; a counts at 1.1 of its base close against b's 1.0, so the pair rises 2.21 / 2.1
+        [115.7619, 2]
+    ]);
+});
+
+test('a constituent with no price at all is reported and left out', async (t) => {
+    useCloses(t, { a: [100, 105] });
+    const { levels, missing_base: missingBase } = await indexService.computeLevels(
+        index([{ commodity_id: 'a', weight: 1 }, { commodity_id: 'b', symbol: 'B', weight: 1 }]),
+        DAYS[0],
+        DAYS[1]
+    );
+
+    assert.deepEqual(missingBase, ['B']);
+    assert.deepEqual(levels.map((level) => level.level_zar), [100, 105]);
+});
+
+test('an update chains onto the last stored level', async (t) => {
+    const prices = { a: [100, 110, 120, 90, 95], b: [null, 40, 44, 44, 40] };
+    const constituents = [{ commodity_id: 'a', weight: 1 }, { commodity_id: 'b', weight: 1 }];
+
+    useCloses(t, prices);
+    const full = (await indexService.computeLevels(index(constituents), DAYS[0], DAYS[4])).levels;
+
+    const stored = full.find((level) => level.recorded_date === DAYS[2]);
+    t.mock.method(indexService, 'getLevelBefore', async (indexId, date) => {
+        assert.equal(date, DAYS[3]);
+        return stored;
+    });
+    const update = (await indexService.computeLevels(index(constituents), DAYS[3], DAYS[4])).levels;
+
+    assert.deepEqual(update, full.slice(3));
+});
+
+test('nothing is calculated before the base date or without constituents', async (t) => {
+    useCloses(t, { a: [100, 110] });
+
+    assert.deepEqual(await indexService.computeLevels(index([]), DAYS[0], DAYS[1]), { levels: [], missing_base: [] });
+    assert.deepEqual(
+        await indexService.computeLevels(index([{ commodity_id: 'a', weight: 1 }], { base_date: DAYS[3] }), DAYS[0], DAYS[1]),
+        { levels: [], missing_base: [] }
+    );
+});
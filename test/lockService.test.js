@@ -0,0 +1,70 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const lockService = require('../services/lockService');
+const priceService = require('../services/priceService');
+
+const lease = { name: 'price_update', holder: 'test-instance' };
+
+test('a kept-alive lease is renewed every third of its ttl until stopped', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const renew = t.mock.method(lockService, 'renew', async () => true);
+
+    const stop = lockService.keepAlive(lease, 3000);
+    t.mock.timers.tick(999);
+    assert.equal(renew.mock.callCount(), 0);
+    t.mock.timers.tick(1);
+    t.mock.timers.tick(1000);
+    assert.equal(renew.mock.callCount(), 2);
+    assert.deepEqual(renew.mock.calls[0].arguments, [lease, 3000]);
+
+    stop();
+    t.mock.timers.tick(5000);
+    assert.equal(renew.mock.callCount(), 2);
+});
+
+test('price update work keeps its lease alive and stops renewing before release', async (t) => {
+    const events = [];
+    t.mock.method(lockService, 'acquire', async () => lease);
+    t.mock.method(lockService, 'keepAlive', (held) => {
+        events.push(['keepAlive', held]);
+        return () => events.push(['stop']);
+    });
+    t.mock.method(lockService, 'release', async (held) => {
+        events.push(['release', held]);
+    });
+
+    const result = await priceService.withPriceUpdateLock(async () => {
+        events.push(['work']);
+        return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(events, [['keepAlive', lease], ['work'], ['stop'], ['release', lease]]);
+});
+
+test('renewal stops and the lease is released when the work fails', async (t) => {
+    const events = [];
+    t.mock.method(lockService, 'acquire', async () => lease);
+    t.mock.method(lockService, 'keepAlive', () => () => events.push('stop'));
+    t.mock.method(lockService, 'release', async () => {
+        events.push('release');
+    });
+
+    await assert.rejects(priceService.withPriceUpdateLock(async () => {
+        throw new Error('run failed');
+    }), /run failed/);
+    assert.deepEqual(events, ['stop', 'release']);
+});
+
+test('no work runs and nothing is renewed while another instance holds the lease', async (t) => {
+    t.mock.method(lockService, 'acquire', async () => null);
+    const keepAlive = t.mock.method(lockService, 'keepAlive', () => () => {});
+
+    const result = await priceService.withPriceUpdateLock(async () => assert.fail('work should not run'));
+
+    assert.equal(result.locked, true);
+    assert.equal(keepAlive.mock.callCount(), 0);
+});
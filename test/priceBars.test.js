@@ -0,0 +1,82 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const priceService = require('../services/priceService');
+
+const row = (recordedDate, recordedTime, priceZar, isClose = true) => ({
+    recorded_date: recordedDate,
+    recorded_time: recordedTime,
+    price_zar: priceZar,
+    price_usd: priceZar / 20,
+    is_close: isClose
+});
+
+test('a day with ticks takes its open, high and low from them', () => {
+    const rows = [row('2026-10-12', '2026-10-12T14:00:00Z', 105)];
+    const ticks = [
+        row('2026-10-12', '2026-10-12T08:00:00Z', 100),
+        row('2026-10-12', '2026-10-12T10:00:00Z', 120),
+        row('2026-10-12', '2026-10-12T12:00:00Z', 90),
+        row('2026-10-12', '2026-10-12T14:00:00Z', 105)
+    ];
+
+    assert.deepEqual(priceService.buildDailyBars(rows, 'zar', ticks), [{
+        period_start: '2026-10-12',
+        period_end: '2026-10-12',
+        open: 100,
+        high: 120,
+        low: 90,
+        close: 105,
+        updates: 4
+    }]);
+});
+
+test('a day without ticks falls back to its history rows', () => {
+    const rows = [
+        row('2026-10-12', '09:00', 100, false),
+        row('2026-10-12', '12:00', 95, false),
+        row('2026-10-12', '15:00', 98)
+    ];
+    const [bar] = priceService.buildDailyBars(rows, 'zar');
+
+    assert.deepEqual([bar.open, bar.high, bar.low, bar.close, bar.updates], [100, 100, 95, 98, 3]);
+});
+
+test('a corrected close outside the ticks widens the bar', () => {
+    const rows = [row('2026-10-12', '2026-10-12T14:00:00Z', 130)];
+    const ticks = [row('2026-10-12', '2026-10-12T08:00:00Z', 100), row('2026-10-12', '2026-10-12T14:00:00Z', 110)];
+    const [bar] = priceService.buildDailyBars(rows, 'zar', ticks);
+
+    assert.equal(bar.close, 130);
+    assert.equal(bar.high, 130);
+    assert.equal(bar.low, 100);
+});
+
+test('bars use the requested currency and come out in date order', () => {
+    const rows = [row('2026-10-13', '09:00', 40), row('2026-10-12', '09:00', 20)];
+    const bars = priceService.buildDailyBars(rows, 'usd');
+
+    assert.deepEqual(bars.map((bar) => [bar.period_start, bar.close]), [['2026-10-12', 1], ['2026-10-13', 2]]);
+});
+
+test('daily bars resample into weekly and monthly bars', () => {
+    const daily = priceService.buildDailyBars([
+        row('2026-09-30', '09:00', 100),
+        row('2026-10-01', '09:00', 110),
+        row('2026-10-02', '09:00', 90),
+        row('2026-10-05', '09:00', 95),
+        row('2026-10-06', '09:00', 97)
+    ], 'zar');
+
+    assert.deepEqual(priceService.resampleBars(daily, 'weekly').map((bar) => [bar.period_start, bar.period_end, bar.open, bar.high, bar.low, bar.close, bar.updates]), [
+        ['2026-09-30', '2026-10-02', 100, 110, 90, 90, 3],
+        ['2026-10-05', '2026-10-06', 95, 97, 95, 97, 2]
+    ]);
+    assert.deepEqual(priceService.resampleBars(daily, 'monthly').map((bar) => [bar.period_start, bar.open, bar.high, bar.low, bar.close]), [
+        ['2026-09-30', 100, 100, 100, 100],
+        ['2026-10-01', 110, 110, 90, 97]
+    ]);
+    assert.equal(priceService.resampleBars(daily, 'daily'), daily);
+});
@@ -0,0 +1,56 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const priceService = require('../services/priceService');
+const currencyService = require('../services/currencyService');
+
+const failedCheck = { passed: false, rule: 'max_deviation', message: 'Rate moved 9% from the previous rate' };
+
+const withAction = (t, action) => {
+    const previous = priceService.fxCheckAction;
+    priceService.fxCheckAction = action;
+    t.after(() => {
+        priceService.fxCheckAction = previous;
+    });
+};
+
+test('a single price write pauses on a failed rate check unless flagged or accepted', async (t) => {
+    withAction(t, 'pause');
+    t.mock.method(currencyService, 'getCheckedRate', async () => ({ rate: 0.055, check: failedCheck }));
+
+    assert.equal((await priceService.checkedWriteRate()).fxCheck.action, 'pause');
+    assert.equal((await priceService.checkedWriteRate({ acceptFxCheck: true })).fxCheck.action, 'flag');
+
+    priceService.fxCheckAction = 'flag';
+    const { rate, fxCheck } = await priceService.checkedWriteRate();
+    assert.equal(rate, 0.055);
+    assert.equal(fxCheck.action, 'flag');
+});
+
+test('a missing rate is never accepted', async (t) => {
+    withAction(t, 'flag');
+    t.mock.method(currencyService, 'getCheckedRate', async () => ({ rate: null, check: { ...failedCheck, rule: 'missing' } }));
+
+    assert.equal((await priceService.checkedWriteRate({ acceptFxCheck: true })).fxCheck.action, 'pause');
+});
+
+test('a passing check carries no fx check', async (t) => {
+    t.mock.method(currencyService, 'getCheckedRate', async () => ({ rate: 0.055, check: { passed: true } }));
+
+    assert.deepEqual(await priceService.checkedWriteRate(), { rate: 0.055, fxCheck: null });
+});
+
+test('paused price and range writes return before touching the database', async (t) => {
+    withAction(t, 'pause');
+    t.mock.method(currencyService, 'getCheckedRate', async () => ({ rate: 0.055, check: failedCheck }));
+
+    const price = await priceService.updateCommodityPrice('commodity-1', { priceZar: 100 });
+    assert.equal(price.success, false);
+    assert.equal(price.paused, true);
+    assert.equal(price.fxCheck.rule, 'max_deviation');
+
+    const range = await priceService.updatePriceRange('commodity-1', { minPriceZar: 90, maxPriceZar: 110 });
+    assert.equal(range.paused, true);
+});
@@ -0,0 +1,119 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const priceService = require('../services/priceService');
+
+const close = (recordedDate, priceZar, extra = {}) => ({
+    recorded_date: recordedDate,
+    price_zar: priceZar,
+    price_usd: priceZar / 20,
+    ...extra
+});
+
+// Wednesday 30 September to Tuesday 6 October 2026
+const closes = [
+    close('2026-09-30', 100),
+    close('2026-10-01', 110),
+    close('2026-10-02', 90, { revised_at: '2026-10-03T08:00:00Z' }),
+    close('2026-10-05', 95),
+    close('2026-10-06', 97)
+];
+
+test('weekly buckets start on Monday and average their closes', () => {
+    const weeks = priceService.resampleHistory(closes, { interval: 'weekly', aggregate: 'avg', priceFields: ['price_zar'] });
+
+    assert.deepEqual(weeks, [
+        { period_start: '2026-09-30', period_end: '2026-10-02', price_zar: 100, observations: 3, revised: true },
+        { period_start: '2026-10-05', period_end: '2026-10-06', price_zar: 96, observations: 2, revised: false }
+    ]);
+});
+
+test('monthly buckets split on the first of the month', () => {
+    const months = priceService.resampleHistory(closes, { interval: 'monthly', aggregate: 'last', priceFields: ['price_zar'] });
+
+    assert.deepEqual(months.map((month) => [month.period_start, month.period_end, month.price_zar]), [
+        ['2026-09-30', '2026-09-30', 100],
+        ['2026-10-01', '2026-10-06', 97]
+    ]);
+});
+
+test('a period close needs the period to have reached its final trading day', () => {
+    const finalTradingDays = new Map([['2026-09-28', '2026-10-02'], ['2026-10-05', '2026-10-09']]);
+    const weeks = priceService.resampleHistory(closes, { interval: 'weekly', aggregate: 'close', priceFields: ['price_zar'], finalTradingDays });
+
+    assert.deepEqual(weeks.map((week) => week.price_zar), [90, null]);
+});
+
+test('history options are validated and the limit is capped', () => {
+    const { errors, options } = priceService.parseHistoryOptions({ interval: 'Weekly', aggregate: 'close', from: '2026-01-01', limit: '100000' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(options.interval, 'weekly');
+    assert.equal(options.aggregate, 'close');
+    assert.ok(options.limit < 100000);
+
+    assert.equal(priceService.parseHistoryOptions({ from: '2026-02-01', to: '2026-01-01' }).errors[0], 'from must not be after to');
+    assert.equal(priceService.parseHistoryOptions({ cursor: 'yesterday' }).errors[0], 'cursor must be a date in YYYY-MM-DD format');
+    assert.equal(priceService.parseHistoryOptions({ interval: 'hourly', aggregate: 'max' }).errors.length, 2);
+});
+
+test('each date keeps one close: the latest closing row, never an intraday revision', () => {
+    const rows = [
+        close('2026-10-06', 120, { recorded_time: '2026-10-06T09:00:00Z', is_close: false }),
+        close('2026-10-05', 100, { recorded_time: '2026-10-05T09:00:00Z' }),
+        close('2026-10-06', 115, { recorded_time: '2026-10-06T08:00:00Z' }),
+        close('2026-10-05', 101, { recorded_time: '2026-10-05T16:00:00Z' })
+    ];
+
+    assert.deepEqual(priceService.selectDailyCloses(rows).map((row) => [row.recorded_date, row.price_zar]), [
+        ['2026-10-05', 101],
+        ['2026-10-06', 115]
+    ]);
+});
+
+test('the change percentage is rounded and treats a missing previous price as no change', () => {
+    assert.equal(priceService.calculateChangePercentage(80, 100), 25);
+    assert.equal(priceService.calculateChangePercentage(3, 2), -33.33);
+    assert.equal(priceService.calculateChangePercentage(null, 100), 0);
+    assert.equal(priceService.calculateChangePercentage(0, 100), 0);
+});
+
+test('price rows are read page by page past the 1000-row response cap', async (t) => {
+    const stored = Array.from({ length: 2300 }, (_, index) => close('2026-01-01', index));
+    const ranges = [];
+    const query = {
+        select: () => query,
+        eq: () => query,
+        gte: () => query,
+        order: () => query,
+        range(from, to) {
+            ranges.push([from, to]);
+            return Promise.resolve({ data: stored.slice(from, to + 1), error: null });
+        }
+    };
+    t.mock.method(priceService, 'adminClient', () => ({ from: () => query }));
+
+    const rows = await priceService.loadPriceRows('commodity-1', { since: '2026-01-01' });
+
+    assert.equal(rows.length, 2300);
+    assert.deepEqual(ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+});
+
+test('the latest closes step back one trading day at a time and stop at the start of history', async (t) => {
+    const previousCloses = { latest: '2026-10-06', '2026-10-06': '2026-10-05', '2026-10-05': null };
+    const calls = [];
+    t.mock.method(priceService, 'getPreviousClose', async (commodityId, before) => {
+        calls.push(before);
+        const date = previousCloses[before ?? 'latest'];
+        return date ? close(date, 100) : null;
+    });
+
+    const latest = await priceService.getLatestCloses('commodity-1', 2);
+    assert.deepEqual(latest.map((row) => row.recorded_date), ['2026-10-05', '2026-10-06']);
+    assert.deepEqual(calls, [null, '2026-10-06']);
+
+    const all = await priceService.getLatestCloses('commodity-1', 5);
+    assert.equal(all.length, 2);
+});
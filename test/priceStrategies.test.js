@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+
+const priceStrategies = require('../services/priceStrategies');
+
+const range = { minPrice: 10, maxPrice: 20 };
+
+test('every strategy stays within the price range', () => {
+    priceStrategies.list().forEach(({ name }) => {
+        for (let i = 0; i < 200; i += 1) {
+            const { price, strategy } = priceStrategies.generate(name, { ...range, previousPrice: 15 });
+            assert.equal(strategy, name);
+            assert.ok(price >= range.minPrice && price <= range.maxPrice, `${name} produced ${price}`);
+        }
+    });
+});
+
+test('random walk ignores a previous price outside the range', () => {
+    for (let i = 0; i < 100; i += 1) {
+        const { price } = priceStrategies.generate('random_walk', { ...range, previousPrice: 500, params: { volatility: 0 } });
+        assert.ok(price >= range.minPrice && price <= range.maxPrice);
+    }
+});
+
+test('random walk with no volatility repeats the previous close', () => {
+    const { price } = priceStrategies.generate('random_walk', { ...range, previousPrice: 12.5, params: { volatility: 0 } });
+    assert.equal(price, 12.5);
+});
+
+test('mean reversion without noise moves toward the midpoint by the speed', () => {
+    const { price } = priceStrategies.generate('mean_reversion', { ...range, previousPrice: 11, params: { speed: 0.5, volatility: 0 } });
+    assert.equal(price, 13);
+});
+
+test('hold last repeats the previous close, or the midpoint without one', () => {
+    assert.equal(priceStrategies.generate('hold_last', { ...range, previousPrice: 17 }).price, 17);
+    assert.equal(priceStrategies.generate('hold_last', { ...range, previousPrice: null }).price, 15);
+});
+
+test('parameters fall back to their defaults and are range checked', () => {
+    assert.deepEqual(priceStrategies.resolveParams('mean_reversion', { speed: '0.4' }), { speed: 0.4, volatility: 0.015 });
+    assert.throws(() => priceStrategies.resolveParams('random_walk', { volatility: 2 }), /between 0 and 1/);
+    assert.throws(() => priceStrategies.resolveParams('random_walk', { volatility: 'high' }), /must be a number/);
+    assert.throws(() => priceStrategies.resolveParams('random_walk', { drift: 1 }), /Unsupported parameters/);
+});
+
+test('an unknown strategy is rejected', () => {
+    assert.throws(() => priceStrategies.generate('coin_flip', range), /Unknown price strategy/);
+});
+
+test('the default strategy is used when none is given', () => {
+    assert.equal(priceStrategies.generate(null, range).strategy, priceStrategies.defaultStrategy);
+    assert.equal(priceStrategies.list().filter((strategy) => strategy.is_default).length, 1);
+});
+
+test('an unknown default strategy fails when the registry loads', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./services/priceStrategies')"], {
+        cwd: `${__dirname}/..`,
+        env: { ...process.env, PRICE_DEFAULT_STRATEGY: 'coin_flip' },
+        encoding: 'utf8'
+    });
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /PRICE_DEFAULT_STRATEGY "coin_flip" is not a known price strategy/);
+});
@@ -0,0 +1,23 @@
+// Unit tests cover the pure parts of the services, so the Supabase client is replaced before any service loads
+// and any query that slips through fails loudly instead of reaching a database
+const path = require('node:path');
+
+const supabasePath = path.resolve(__dirname, '../../supabase.js');
+const offlineClient = {
+    from(table) {
+        throw new Error(`Unit tests do not reach the database (queried ${table})`);
+    },
+    rpc(name) {
+        throw new Error(`Unit tests do not reach the database (called ${name})`);
+    }
+};
+
+require.cache[supabasePath] = {
+    id: supabasePath,
+    filename: supabasePath,
+    loaded: true,
+    exports: {
+        getClient: () => offlineClient,
+        getAdminClient: () => offlineClient
+    }
+};
@@ -0,0 +1,80 @@
+require('./support/offlineSupabase');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tradingCalendarService = require('../services/tradingCalendarService');
+
+test('Easter holidays follow the date of Easter Sunday', () => {
+    const holidays2025 = tradingCalendarService.getBuiltInHolidays(2025);
+    const holidays2026 = tradingCalendarService.getBuiltInHolidays(2026);
+
+    assert.equal(holidays2025.get('2025-04-18'), 'Good Friday');
+    assert.equal(holidays2025.get('2025-04-21'), 'Family Day');
+    assert.equal(holidays2026.get('2026-04-03'), 'Good Friday');
+    assert.equal(holidays2026.get('2026-04-06'), 'Family Day');
+});
+
+test('a holiday on a Sunday is observed on the next free day', () => {
+    assert.equal(tradingCalendarService.getBuiltInHolidays(2026).get('2026-08-10'), "National Women's Day (observed)");
+    // Christmas 2022 fell on a Sunday and the Monday was already the Day of Goodwill
+    assert.equal(tradingCalendarService.getBuiltInHolidays(2022).get('2022-12-27'), 'Christmas Day (observed)');
+});
+
+test('days are described by override, then holiday, then weekend', () => {
+    assert.deepEqual(tradingCalendarService.describeDay('2026-09-24'), {
+        date: '2026-09-24', is_trading_day: false, reason: 'Heritage Day', source: 'za_public_holiday'
+    });
+    assert.equal(tradingCalendarService.describeDay('2026-10-17').source, 'weekend');
+    assert.equal(tradingCalendarService.describeDay('2026-10-19').is_trading_day, true);
+    assert.deepEqual(tradingCalendarService.describeDay('2026-09-24', { is_trading_day: true, name: 'Open anyway' }), {
+        date: '2026-09-24', is_trading_day: true, reason: null, source: 'override'
+    });
+    assert.equal(tradingCalendarService.describeDay('2026-10-19', { is_trading_day: false }).reason, 'Market closed');
+});
+
+test('the local date is the market timezone date, not the UTC date', () => {
+    assert.equal(tradingCalendarService.localDate(new Date('2026-10-18T23:30:00Z')), '2026-10-19');
+    assert.equal(tradingCalendarService.localDate(new Date('2026-10-19T21:59:00Z')), '2026-10-19');
+});
+
+test('dates must be real YYYY-MM-DD dates', () => {
+    assert.equal(tradingCalendarService.isValidDate('2026-10-19'), true);
+    assert.equal(tradingCalendarService.isValidDate('2026-13-01'), false);
+    assert.equal(tradingCalendarService.isValidDate('19/10/2026'), false);
+    assert.equal(tradingCalendarService.isValidDate(null), false);
+});
+
+test('editing an override keeps the admin who created it', async (t) => {
+    const stored = new Map([['2026-12-24', { id: 'override-1', created_by: 'admin-1' }]]);
+    const writes = [];
+    const table = () => {
+        const query = {
+            select: () => query,
+            eq: (column, value) => {
+                query.date = value;
+                return query;
+            },
+            maybeSingle: async () => ({ data: stored.get(query.date) ?? null, error: null }),
+            insert: (row) => {
+                writes.push(['insert', row]);
+                return query;
+            },
+            update: (row) => {
+                writes.push(['update', row]);
+                return query;
+            },
+            single: async () => ({ data: writes[writes.length - 1][1], error: null })
+        };
+        return query;
+    };
+    t.mock.method(tradingCalendarService, 'adminClient', () => ({ from: table }));
+
+    await tradingCalendarService.upsertOverride({ date: '2026-12-24', name: 'Early close' }, 'admin-2');
+    await tradingCalendarService.upsertOverride({ date: '2026-12-31', name: 'Early close' }, 'admin-2');
+
+    assert.equal(writes[0][0], 'update');
+    assert.equal('created_by' in writes[0][1], false);
+    assert.equal(writes[1][0], 'insert');
+    assert.equal(writes[1][1].created_by, 'admin-2');
+});